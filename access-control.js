@@ -0,0 +1,205 @@
+// Optional access control. ALLOWED_IPS limits which addresses may connect,
+// and once DEVICE_KEYS or URL_SIGNING_SECRET is set, the endpoints devices
+// use (images, playlists, /render, config files, the device API and the
+// render history) need a device key or a signed URL which hasn't expired.
+// The admin UI is only served via Home Assistant's ingress and to this host,
+// unless ADMIN_PUBLIC is set and devices don't need credentials.
+const crypto = require("crypto");
+const net = require("net");
+const { isValidDeviceId } = require("./device-registry");
+
+// Home Assistant's ingress proxy, as seen by add-ons
+const INGRESS_PROXY_ADDRESS = "172.30.32.2";
+
+// in seconds
+const DEFAULT_SIGNATURE_LIFETIME = 24 * 60 * 60;
+
+// The keys are hashed, so looking them up doesn't reveal how much of a
+// guessed key was right
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// `kitchen:<key>` entries of DEVICE_KEYS
+function parseDeviceKey(entry) {
+  const separator = entry.indexOf(":");
+  return separator < 0
+    ? { deviceId: entry, key: "" }
+    : { deviceId: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+}
+
+// For the `deviceKeys` setting, returns an error message if an entry is invalid
+function validateDeviceKeys(entries) {
+  const keys = new Set();
+  for (const entry of entries) {
+    const { deviceId, key } = parseDeviceKey(entry);
+    if (!isValidDeviceId(deviceId) || key === "") {
+      return `expected entries like "kitchen:<key>", got ${JSON.stringify(entry)}`;
+    }
+    // keys end up in URLs and shell scripts
+    if (!/^[A-Za-z0-9._~-]+$/.test(key)) {
+      return `the key of ${deviceId} may only contain letters, digits and . _ ~ -`;
+    }
+    if (keys.has(key)) {
+      return `the key of ${deviceId} is used by another device`;
+    }
+    keys.add(key);
+  }
+  return false;
+}
+
+// For the `allowedIps` setting, addresses like 192.168.1.20 or ranges like
+// 192.168.1.0/24 and fd00::/8
+function validateAllowedIps(entries) {
+  for (const entry of entries) {
+    const [address, prefix] = entry.split("/");
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+    if (
+      family === 0 ||
+      (prefix !== undefined && (!/^\d+$/.test(prefix) || Number(prefix) > maxPrefix))
+    ) {
+      return `expected an IP address or a range like "192.168.1.0/24", got ${JSON.stringify(entry)}`;
+    }
+  }
+  return false;
+}
+
+function createIpAllowlist(entries) {
+  const allowlist = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split("/");
+    const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+    if (prefix === undefined) {
+      allowlist.addAddress(address, type);
+    } else {
+      allowlist.addSubnet(address, Number(prefix), type);
+    }
+  }
+  return allowlist;
+}
+
+// The address the request came from. X-Forwarded-For can be sent by anyone,
+// so access control doesn't trust it.
+function getRemoteAddress(request) {
+  const address = request.socket.remoteAddress || "";
+  // IPv4 clients of a server listening on IPv6
+  return address.startsWith("::ffff:") && net.isIPv4(address.slice(7))
+    ? address.slice(7)
+    : address;
+}
+
+// The address of the client as recorded in the device registry. Only the
+// ingress proxy is trusted to forward it, as the last X-Forwarded-For entry.
+function getClientIp(request) {
+  const address = getRemoteAddress(request);
+  const forwardedFor = request.headers["x-forwarded-for"];
+  if (address === INGRESS_PROXY_ADDRESS && forwardedFor) {
+    return forwardedFor.split(",").pop().trim();
+  }
+  return address;
+}
+
+function signPath(pathname, expires, secret) {
+  return crypto.createHmac("sha256", secret).update(`${pathname}\n${expires}`).digest("hex");
+}
+
+// A path with `expires` and `signature` appended, which can be fetched
+// without a device key until it expires. Other query parameters may be added
+// by the device, e.g. its battery level.
+function createSignedPath(pathname, secret, lifetime = DEFAULT_SIGNATURE_LIFETIME, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + lifetime;
+  return `${pathname}?expires=${expires}&signature=${signPath(pathname, expires, secret)}`;
+}
+
+function isValidSignature(pathname, expires, signature, secret) {
+  const expected = Buffer.from(signPath(pathname, expires, secret), "hex");
+  const given = Buffer.from(/^[0-9a-f]{64}$/i.test(signature) ? signature : "", "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Creates the check for requests given the access control settings.
+// `checkAddress(request)`, `checkAdmin(request)` and
+// `checkCredentials(url, request)` return
+// `{ denied: { statusCode, code, message } }` if the request isn't allowed,
+// the latter `{ deviceId }` of the device whose key was given otherwise.
+function createAccessControl({ allowedIps, deviceKeys, urlSigningSecret, adminPublic }) {
+  const allowlist = allowedIps.length > 0 ? createIpAllowlist(allowedIps) : null;
+  const devicesByKey = new Map(
+    deviceKeys.map(parseDeviceKey).map(({ deviceId, key }) => [hashKey(key), deviceId])
+  );
+  const deny = (statusCode, code, message) => ({ denied: { statusCode, code, message } });
+
+  return {
+    checkAddress(request) {
+      if (allowlist === null) {
+        return {};
+      }
+      const address = getRemoteAddress(request);
+      const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+      return net.isIP(address) && allowlist.check(address, type)
+        ? {}
+        : deny(403, "address", `${address} is not in ALLOWED_IPS`);
+    },
+
+    // The admin UI has no login, so it's only served to the ingress proxy,
+    // which lets in Home Assistant's users only, and to this host. Others
+    // need ADMIN_PUBLIC, which is ignored once devices need credentials.
+    checkAdmin(request) {
+      const requiresCredentials = devicesByKey.size > 0 || Boolean(urlSigningSecret);
+      if (adminPublic && !requiresCredentials) {
+        return {};
+      }
+      const address = getRemoteAddress(request);
+      if (address === INGRESS_PROXY_ADDRESS || address === "127.0.0.1" || address === "::1") {
+        return {};
+      }
+      return deny(
+        403,
+        "admin",
+        requiresCredentials
+          ? "The admin UI is only available via Home Assistant's ingress once DEVICE_KEYS or URL_SIGNING_SECRET is set"
+          : "The admin UI is only available via Home Assistant's ingress, set ADMIN_PUBLIC=true to serve it to others"
+      );
+    },
+
+    checkCredentials(url, request, now = Date.now()) {
+      if (devicesByKey.size === 0 && !urlSigningSecret) {
+        return { deviceId: null };
+      }
+      const key = request.headers["x-api-key"] || url.searchParams.get("apiKey");
+      if (key) {
+        const deviceId = devicesByKey.get(hashKey(key));
+        return deviceId ? { deviceId } : deny(401, "key", "Invalid device key");
+      }
+      const signature = url.searchParams.get("signature");
+      if (signature && urlSigningSecret) {
+        const expires = url.searchParams.get("expires") || "";
+        if (!/^\d+$/.test(expires) || !isValidSignature(url.pathname, expires, signature, urlSigningSecret)) {
+          return deny(401, "signature", "Invalid signature");
+        }
+        if (Number(expires) * 1000 < now) {
+          return deny(403, "expired", "Signed URL expired");
+        }
+        return { deviceId: null };
+      }
+      return deny(401, "missing", "A device key or signed URL is required");
+    },
+
+    // the configured key of a device, e.g. for its client script
+    getDeviceKey(deviceId) {
+      const entry = deviceKeys.map(parseDeviceKey).find((entry) => entry.deviceId === deviceId);
+      return entry ? entry.key : null;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SIGNATURE_LIFETIME,
+  validateDeviceKeys,
+  validateAllowedIps,
+  getRemoteAddress,
+  getClientIp,
+  createSignedPath,
+  createAccessControl
+};
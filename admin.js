@@ -0,0 +1,432 @@
+// Admin UI, served at /admin and as the add-on's ingress panel, which shows
+// every page with its current image and render status and allows tuning its
+// conversion with a live preview instead of restarting after every change
+const path = require("path");
+const { promises: fs } = require("fs");
+const fsExtra = require("fs-extra");
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Conversion settings which can be tuned in the admin UI. Those of the legacy
+// filter chain are ignored by pages with `filters`, see getFilterChain.
+const TUNABLE_SETTINGS = [
+  { key: "contrast", label: "Contrast", type: "number", min: 0, max: 3, step: 0.05, filterChain: true },
+  { key: "saturation", label: "Saturation", type: "number", min: 0, max: 3, step: 0.05, filterChain: true },
+  { key: "blackLevel", label: "Black level", type: "percentage", min: 0, max: 100, step: 1, filterChain: true },
+  { key: "whiteLevel", label: "White level", type: "percentage", min: 0, max: 100, step: 1, filterChain: true },
+  { key: "removeGamma", label: "Remove gamma", type: "boolean", filterChain: true },
+  { key: "grayscaleDepth", label: "Grayscale depth", type: "enum", values: [1, 2, 4, 8] },
+  { key: "dither", label: "Dither", type: "boolean" },
+  { key: "ditherAlgorithm", label: "Dither algorithm", type: "enum", values: ["floyd-steinberg", "atkinson", "ordered"] },
+  { key: "rotation", label: "Rotation", type: "enum", values: [0, 90, 180, 270], filterChain: true },
+  // applied by the browser, so changing it takes a new screenshot
+  { key: "scaling", label: "Scaling", type: "number", min: 0.25, max: 4, step: 0.05 }
+];
+
+function parseTunedValue(setting, value) {
+  switch (setting.type) {
+    case "number":
+      return typeof value === "number" && value >= setting.min && value <= setting.max
+        ? value
+        : undefined;
+    case "percentage": {
+      const number = typeof value === "string" ? parseFloat(value) : value;
+      return typeof number === "number" && Number.isInteger(number) && number >= 0 && number <= 100
+        ? `${number}%`
+        : undefined;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? value : undefined;
+    case "enum":
+      return setting.values.find((allowed) => String(allowed) === String(value));
+  }
+}
+
+function usesFilters(pageConfig) {
+  return pageConfig.filters.length > 0;
+}
+
+// Validates settings sent by the admin UI. Returns `{ settings }` or
+// `{ error }`, levels are checked along with the page's current ones.
+function parseTunedSettings(values, pageConfig) {
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    return { error: "expected an object with settings" };
+  }
+  const settings = {};
+  for (const [key, rawValue] of Object.entries(values)) {
+    const setting = TUNABLE_SETTINGS.find((s) => s.key === key);
+    if (!setting) {
+      return { error: `${key}: unknown setting` };
+    }
+    const value = parseTunedValue(setting, rawValue);
+    if (value === undefined) {
+      return { error: `${key}: invalid value ${JSON.stringify(rawValue)}` };
+    }
+    if (setting.filterChain && usesFilters(pageConfig)) {
+      // the admin UI sends the current value of the controls it disables
+      if (String(value) !== String(pageConfig[key])) {
+        return { error: `${key}: has no effect, the page uses filters` };
+      }
+      continue;
+    }
+    settings[key] = value;
+  }
+
+  const { blackLevel, whiteLevel } = { ...pageConfig, ...settings };
+  if (parseInt(blackLevel) >= parseInt(whiteLevel)) {
+    return { error: "blackLevel: must be below whiteLevel" };
+  }
+  return { settings };
+}
+
+function pickTunedSettings(pageConfig) {
+  return Object.fromEntries(
+    TUNABLE_SETTINGS.map((setting) => [setting.key, pageConfig[setting.key]])
+  );
+}
+
+// Settings saved in the admin UI per page number. They take precedence over
+// the config file and environment variables and survive restarts.
+function createTunedSettingsStore(filePath) {
+  let pages = {};
+
+  const save = async () => {
+    await fsExtra.ensureDir(path.dirname(filePath));
+    const tempPath = filePath + ".new";
+    await fs.writeFile(tempPath, JSON.stringify(pages, null, 2));
+    await fs.rename(tempPath, filePath);
+  };
+
+  return {
+    async load() {
+      try {
+        pages = JSON.parse(await fs.readFile(filePath, "utf8"));
+        console.log(`Loaded tuned settings of ${Object.keys(pages).length} page(s) from ${filePath}`);
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          console.error(`Could not load tuned settings from ${filePath}: ${e.message}`);
+        }
+        pages = {};
+      }
+    },
+
+    get(pageNumber) {
+      return pages[pageNumber] || null;
+    },
+
+    async set(pageNumber, settings) {
+      pages[pageNumber] = settings;
+      await save();
+    },
+
+    async remove(pageNumber) {
+      delete pages[pageNumber];
+      await save();
+    }
+  };
+}
+
+// Reads a request body, rejecting bodies larger than maxSize
+function readBodyAsync(request, maxSize = MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks)));
+    request.on("error", reject);
+  });
+}
+
+// Parses a JSON request body, rejecting bodies larger than MAX_BODY_SIZE
+async function readJsonBodyAsync(request) {
+  const text = (await readBodyAsync(request)).toString("utf8");
+  try {
+    return text === "" ? {} : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+}
+
+// Values embedded into the page's script, < is escaped so they can't end it
+function toScriptValue(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+// Requests which change something have to be JSON, which pages on other sites
+// can't send without the browser asking first, and mustn't come from another
+// site. Returns `{ statusCode, error }` if the request is refused, or null.
+function checkAdminWriteRequest(request) {
+  const contentType = (request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (contentType !== "application/json") {
+    return { statusCode: 415, error: "Expected Content-Type: application/json" };
+  }
+  // sent by browsers, "none" if the user made the request
+  const fetchSite = request.headers["sec-fetch-site"];
+  if (fetchSite !== undefined && fetchSite !== "same-origin" && fetchSite !== "none") {
+    return { statusCode: 403, error: "Requests from other sites are not allowed" };
+  }
+  return null;
+}
+
+// The admin page itself. apiBase is where the API is reachable from the
+// browser, which includes the ingress path when opened in Home Assistant.
+function createAdminPage(apiBase) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Kindle Screensaver</title>
+<style>
+  body { font-family: sans-serif; margin: 0; padding: 16px; background: #f4f4f4; color: #222; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  .page { background: #fff; border-radius: 8px; padding: 16px; margin-bottom: 16px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.15); }
+  .page h2 { font-size: 16px; margin: 0 0 4px; }
+  .status { font-size: 13px; color: #555; margin-bottom: 12px; }
+  .status .error { color: #b00020; }
+  .columns { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start; }
+  figure { margin: 0; }
+  figcaption { font-size: 12px; color: #555; margin-bottom: 4px; }
+  figure img { display: block; max-width: 360px; max-height: 480px; border: 1px solid #ccc; background: #fff; }
+  figure .empty { width: 240px; padding: 24px 8px; border: 1px dashed #ccc; font-size: 12px; color: #777; text-align: center; }
+  form { display: grid; grid-template-columns: auto 160px 48px; gap: 6px 8px; align-items: center; font-size: 13px; }
+  form output { font-variant-numeric: tabular-nums; }
+  .actions { margin-top: 12px; display: flex; gap: 8px; align-items: center; font-size: 13px; }
+  .tuned { font-size: 12px; color: #1565c0; }
+</style>
+</head>
+<body>
+<h1>Kindle Screensaver</h1>
+<div id="pages">Loading...</div>
+<script>
+const API = ${toScriptValue(apiBase)};
+const SETTINGS = ${toScriptValue(TUNABLE_SETTINGS)};
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "never";
+}
+
+async function request(method, path, body) {
+  const response = await fetch(API + path, {
+    method,
+    headers: method === "GET" ? {} : { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text;
+    try { message = JSON.parse(text).error || text; } catch (e) {}
+    throw new Error(message);
+  }
+  return response;
+}
+
+function element(tag, properties, children) {
+  const node = Object.assign(document.createElement(tag), properties);
+  for (const child of children || []) node.append(child);
+  return node;
+}
+
+function createImage(caption) {
+  const image = element("img", { alt: caption });
+  const empty = element("div", { className: "empty", hidden: true });
+  return {
+    figure: element("figure", {}, [element("figcaption", { textContent: caption }), image, empty]),
+    show(src) { image.hidden = false; empty.hidden = true; image.src = src; },
+    showText(text) { image.hidden = true; empty.hidden = false; empty.textContent = text; }
+  };
+}
+
+function createControl(setting, value, onChange, disabled) {
+  const label = element("label", { textContent: setting.label });
+  const output = element("output");
+  let input;
+  if (setting.type === "boolean") {
+    input = element("input", { type: "checkbox", checked: value });
+  } else if (setting.type === "enum") {
+    input = element("select", {}, setting.values.map((v) =>
+      element("option", { value: String(v), textContent: String(v), selected: String(v) === String(value) })
+    ));
+  } else {
+    input = element("input", {
+      type: "range",
+      min: setting.min,
+      max: setting.max,
+      step: setting.step,
+      value: parseFloat(value)
+    });
+  }
+  const getValue = () => {
+    if (setting.type === "boolean") return input.checked;
+    if (setting.type === "enum") return setting.values.find((v) => String(v) === input.value);
+    return Number(input.value);
+  };
+  const update = () => {
+    if (setting.type === "number" || setting.type === "percentage") {
+      output.textContent = input.value + (setting.type === "percentage" ? "%" : "");
+    }
+  };
+  input.disabled = disabled;
+  input.addEventListener("input", () => { update(); onChange(); });
+  update();
+  return { nodes: [label, input, output], getValue };
+}
+
+function renderStatus(node, page) {
+  const status = page.status;
+  node.replaceChildren(
+    "Last render " + formatTime(status.lastSuccess) +
+      (page.lastModified ? ", image from " + formatTime(page.lastModified) : "")
+  );
+  if (status.lastError) {
+    node.append(element("div", {
+      className: "error",
+      textContent: status.consecutiveFailures + " failed render(s) since " +
+        formatTime(status.failingSince) + ": " + status.lastError
+    }));
+  }
+}
+
+function renderPage(page) {
+  const current = createImage("Current image");
+  const preview = createImage("Preview");
+  const status = element("div", { className: "status" });
+  const tuned = element("span", { className: "tuned" });
+  const message = element("span");
+  let previewTimer = null;
+  let previewUrl = null;
+
+  // pages with filters ignore the settings of the legacy filter chain
+  const controls = SETTINGS.map((setting) =>
+    createControl(setting, page.settings[setting.key], () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(updatePreview, 300);
+    }, setting.filterChain && page.filters.length > 0)
+  );
+  const getSettings = () => Object.fromEntries(
+    SETTINGS.map((setting, i) => [setting.key, controls[i].getValue()])
+  );
+
+  async function updatePreview() {
+    preview.showText("Rendering preview...");
+    try {
+      const response = await request("POST", "/pages/" + page.page + "/preview", getSettings());
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+      previewUrl = URL.createObjectURL(await response.blob());
+      preview.show(previewUrl);
+    } catch (e) {
+      preview.showText(e.message);
+    }
+  }
+
+  function update(newPage) {
+    page = newPage;
+    renderStatus(status, page);
+    tuned.textContent = page.tuned ? "Uses settings saved here" : "";
+    if (page.imageFormat === "raw") {
+      current.showText("Raw images can't be shown, see the preview instead");
+    } else if (page.lastModified) {
+      current.show(API + "/pages/" + page.page + "/image?t=" + Date.parse(page.lastModified));
+    } else {
+      current.showText("No image yet");
+    }
+  }
+
+  async function run(label, action) {
+    message.textContent = label + "...";
+    try {
+      await action();
+      update(await (await request("GET", "/pages/" + page.page)).json());
+      message.textContent = "";
+    } catch (e) {
+      message.textContent = e.message;
+    }
+  }
+
+  const actions = element("div", { className: "actions" }, [
+    element("button", {
+      type: "button",
+      textContent: "Render now",
+      onclick: () => run("Rendering", () => request("POST", "/pages/" + page.page + "/render"))
+    }),
+    element("button", {
+      type: "button",
+      textContent: "Save settings",
+      onclick: () => run("Saving", () => request("PUT", "/pages/" + page.page + "/settings", getSettings()))
+    }),
+    element("button", {
+      type: "button",
+      textContent: "Reset to configured",
+      onclick: () => run("Resetting", () => request("DELETE", "/pages/" + page.page + "/settings"))
+        .then(() => location.reload())
+    }),
+    tuned,
+    message
+  ]);
+
+  const node = element("section", { className: "page" }, [
+    element("h2", { textContent: "Page " + page.page + (page.name ? " (" + page.name + ")" : "") }),
+    element("div", { className: "status", textContent: page.screenShotUrl }),
+    page.filters.length > 0
+      ? element("div", { className: "status", textContent: "Filters: " + page.filters.join("; ") })
+      : "",
+    status,
+    element("div", { className: "columns" }, [
+      current.figure,
+      preview.figure,
+      element("div", {}, [
+        element("form", { onsubmit: (event) => event.preventDefault() }, controls.flatMap((c) => c.nodes)),
+        actions
+      ])
+    ])
+  ]);
+  update(page);
+  updatePreview();
+  return { node, update };
+}
+
+async function load() {
+  const container = document.getElementById("pages");
+  try {
+    const pages = await (await request("GET", "/pages")).json();
+    const views = pages.map(renderPage);
+    container.replaceChildren(...views.map((view) => view.node));
+    // keep the status and current image up to date
+    setInterval(async () => {
+      try {
+        const pages = await (await request("GET", "/pages")).json();
+        pages.forEach((page, i) => views[i] && views[i].update(page));
+      } catch (e) {
+        // try again with the next interval
+      }
+    }, 30000);
+  } catch (e) {
+    container.textContent = "Could not load pages: " + e.message;
+  }
+}
+
+load();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  TUNABLE_SETTINGS,
+  parseTunedSettings,
+  pickTunedSettings,
+  createTunedSettingsStore,
+  readBodyAsync,
+  readJsonBodyAsync,
+  checkAdminWriteRequest,
+  createAdminPage
+};
@@ -0,0 +1,135 @@
+// Captures single elements of a dashboard instead of the whole viewport and
+// composes them into one image in the size of the device
+const sharp = require("sharp");
+
+const CAPTURE_FITS = ["contain", "cover", "pad"];
+const CAPTURE_LAYOUTS = ["vertical", "horizontal"];
+
+// Selectors are passed to puppeteer, so `>>>` pierces shadow roots, e.g.
+// `>>> hui-card:nth-of-type(2)`. `card:<title>` selects the card with that
+// title, wherever it is in Home Assistant's nested shadow DOM.
+const CARD_TITLE_PREFIX = "card:";
+
+async function findElementAsync(page, selector, timeout) {
+  if (!selector.startsWith(CARD_TITLE_PREFIX)) {
+    return page.waitForSelector(selector, { timeout });
+  }
+
+  const title = selector.slice(CARD_TITLE_PREFIX.length).trim();
+  const handle = await page.waitForFunction(
+    (title) => {
+      const findCard = (root) => {
+        for (const element of root.querySelectorAll("*")) {
+          if (element.localName === "ha-card") {
+            const header =
+              element.header ||
+              (element.shadowRoot &&
+                element.shadowRoot.querySelector(".card-header")
+                  ?.textContent) ||
+              element.querySelector(".card-header")?.textContent;
+            if (header && header.trim() === title) {
+              return element;
+            }
+          }
+          if (element.shadowRoot) {
+            const card = findCard(element.shadowRoot);
+            if (card) return card;
+          }
+        }
+        return null;
+      };
+      return findCard(document);
+    },
+    { timeout, polling: 500 },
+    title
+  );
+  return handle.asElement();
+}
+
+// Takes a PNG screenshot of every selector in order
+async function captureElementsAsync(page, selectors, timeout) {
+  const captures = [];
+  for (const selector of selectors) {
+    let element;
+    try {
+      element = await findElementAsync(page, selector, timeout);
+    } catch (e) {
+      e.message = `Element ${selector} not found: ${e.message}`;
+      throw e;
+    }
+    if (!element) {
+      throw new Error(`Element ${selector} not found`);
+    }
+    captures.push(await element.screenshot({ type: "png" }));
+    await element.dispose();
+  }
+  return captures;
+}
+
+// Places the captures next to or below each other and fits the result into
+// width x height: `contain` scales it to fit, `cover` scales it to fill the
+// whole image and crops what's left over and `pad` only scales it down if it
+// doesn't fit. Free space is filled with white.
+async function composeCapturesAsync(captures, { width, height, fit, layout }) {
+  const images = await Promise.all(captures.map((capture) => sharp(capture).metadata()));
+  const horizontal = layout === "horizontal";
+  const composedWidth = horizontal
+    ? images.reduce((sum, image) => sum + image.width, 0)
+    : Math.max(...images.map((image) => image.width));
+  const composedHeight = horizontal
+    ? Math.max(...images.map((image) => image.height))
+    : images.reduce((sum, image) => sum + image.height, 0);
+
+  let offset = 0;
+  const composed = await sharp({
+    create: {
+      width: composedWidth,
+      height: composedHeight,
+      channels: 3,
+      background: "#ffffff"
+    }
+  })
+    .composite(
+      captures.map((capture, i) => {
+        const position = horizontal
+          ? { left: offset, top: 0 }
+          : { left: Math.round((composedWidth - images[i].width) / 2), top: offset };
+        offset += horizontal ? images[i].width : images[i].height;
+        return { input: capture, ...position };
+      })
+    )
+    .png()
+    .toBuffer();
+
+  if (fit !== "pad") {
+    return sharp(composed)
+      .resize(width, height, { fit, background: "#ffffff" })
+      .flatten({ background: "#ffffff" })
+      .png()
+      .toBuffer();
+  }
+
+  const { data, info } = await sharp(composed)
+    .resize(width, height, { fit: "inside", withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+  const left = Math.floor((width - info.width) / 2);
+  const top = Math.floor((height - info.height) / 2);
+  return sharp(data)
+    .extend({
+      left,
+      top,
+      right: width - info.width - left,
+      bottom: height - info.height - top,
+      background: "#ffffff"
+    })
+    .flatten({ background: "#ffffff" })
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  CAPTURE_FITS,
+  CAPTURE_LAYOUTS,
+  captureElementsAsync,
+  composeCapturesAsync
+};
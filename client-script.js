@@ -0,0 +1,129 @@
+// Generates a shell script for jailbroken Kindles which fetches the image of
+// a page, shows it with eips and reports the battery level, so onboarding a
+// device doesn't require editing scripts by hand
+
+// Wraps a value in single quotes for the shell
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Base URL of this server as seen by the client, e.g. behind a reverse proxy
+function getServerUrl(request) {
+  const proto = (request.headers["x-forwarded-proto"] || "http").split(",")[0].trim();
+  const host = (request.headers["x-forwarded-host"] || request.headers.host).split(",")[0].trim();
+  return `${proto}://${host}`;
+}
+
+// `imagePath` is the path of the page, e.g. /1, or of the device's playlist
+// `apiKey` is the device's key if access control requires one
+function createClientScript({ serverUrl, deviceId, imagePath, interval, imageFormat, apiKey, rtcWake }) {
+  return `#!/bin/sh
+# Kindle client for hass-lovelace-kindle-screensaver, generated for device
+# ${deviceId}. Copy it to the Kindle (e.g. /mnt/us/extensions/kindle-dash/)
+# and run it in the background: nohup sh ./${deviceId}.sh > /dev/null 2>&1 &
+
+SERVER_URL=${shellQuote(serverUrl)}
+IMAGE_PATH=${shellQuote(imagePath)}
+DEVICE_ID=${shellQuote(deviceId)}
+# sent along with every request if the server requires device keys
+API_KEY=${shellQuote(apiKey || "")}
+# seconds between refreshes, unless the server asks for another interval
+REFRESH_INTERVAL=${shellQuote(interval)}
+# raw images are written to the framebuffer, anything else is shown with eips
+IMAGE_FORMAT=${shellQuote(imageFormat)}
+# 1 to suspend the Kindle between refreshes and wake it up by its real time
+# clock, which saves a lot of battery but turns off wifi in between
+RTC_WAKE=${shellQuote(rtcWake ? 1 : 0)}
+
+IMAGE_FILE="/tmp/kindle-screensaver.$IMAGE_FORMAT"
+ETAG_FILE="/tmp/kindle-screensaver.etag"
+HEADERS_FILE="/tmp/kindle-screensaver.headers"
+
+battery_level() {
+  level="$(gasgauge-info -c 2>/dev/null | tr -d '%')"
+  if [ -z "$level" ]; then
+    level="$(lipc-get-prop com.lab126.powerd battLevel 2>/dev/null)"
+  fi
+  echo "$level"
+}
+
+is_charging() {
+  if [ "$(lipc-get-prop com.lab126.powerd isCharging 2>/dev/null)" = "1" ]; then
+    echo "Yes"
+  else
+    echo "No"
+  fi
+}
+
+# Value of a response header of the last request
+header() {
+  grep -i "^ *$1:" "$HEADERS_FILE" 2>/dev/null | tail -n 1 | cut -d: -f2- | tr -d ' \\r'
+}
+
+# The server asks for a full refresh every few images to clear ghosting
+show_image() {
+  if [ "$IMAGE_FORMAT" = "raw" ]; then
+    cat "$IMAGE_FILE" > /dev/fb0
+    eips ''
+  elif [ "$(header X-Refresh-Mode)" = "partial" ]; then
+    eips -g "$IMAGE_FILE"
+  else
+    eips -f -g "$IMAGE_FILE"
+  fi
+}
+
+# Downloads the image and shows it if it changed since the last refresh
+refresh() {
+  url="$SERVER_URL$IMAGE_PATH?deviceId=$DEVICE_ID&batteryLevel=$(battery_level)&isCharging=$(is_charging)\${API_KEY:+&apiKey=$API_KEY}"
+  rm -f "$HEADERS_FILE"
+  if command -v curl > /dev/null; then
+    etag="$(cat "$ETAG_FILE" 2>/dev/null)"
+    status=$(curl -s -o "$IMAGE_FILE.new" -D "$HEADERS_FILE" \\
+      -w '%{http_code}' -H "If-None-Match: $etag" "$url")
+    if [ "$status" = "200" ]; then
+      header ETag > "$ETAG_FILE"
+      mv "$IMAGE_FILE.new" "$IMAGE_FILE"
+      show_image
+    fi
+    rm -f "$IMAGE_FILE.new"
+  elif wget -q -S -O "$IMAGE_FILE.new" "$url" 2> "$HEADERS_FILE"; then
+    if ! cmp -s "$IMAGE_FILE.new" "$IMAGE_FILE"; then
+      mv "$IMAGE_FILE.new" "$IMAGE_FILE"
+      show_image
+    fi
+    rm -f "$IMAGE_FILE.new"
+  fi
+}
+
+wait_for_wifi() {
+  for i in $(seq 1 30); do
+    if lipc-get-prop com.lab126.wifid cmState 2>/dev/null | grep -q CONNECTED; then
+      return
+    fi
+    sleep 1
+  done
+}
+
+lipc-set-prop com.lab126.powerd preventScreenSaver 1 2>/dev/null
+
+while true; do
+  wait_for_wifi
+  refresh
+  # the server tells when the page is rendered next and whether to stay
+  # awake, e.g. while charging
+  interval="$(header X-Next-Poll)"
+  interval="\${interval:-$REFRESH_INTERVAL}"
+  if [ "$RTC_WAKE" = "1" ] && [ "$(header X-Stay-Awake)" != "1" ]; then
+    rtcwake -d /dev/rtc1 -m mem -s "$interval" 2>/dev/null || sleep "$interval"
+  else
+    sleep "$interval"
+  fi
+done
+`;
+}
+
+module.exports = {
+  shellQuote,
+  getServerUrl,
+  createClientScript
+};
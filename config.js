@@ -1,59 +1,679 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { normalizeDitherAlgorithm } = require("./dither");
+const { IMAGE_FORMATS } = require("./encoders");
+const { parseQuietHours, isValidCronExpression } = require("./schedule");
+const { OVERLAY_POSITIONS } = require("./overlay");
+const { FALLBACK_MODES } = require("./fallback");
+const { CAPTURE_FITS, CAPTURE_LAYOUTS } = require("./capture");
+const { READINESS_STRATEGIES } = require("./readiness");
+const { validateFilters } = require("./filters");
+const { usesHaInstance, getInstanceCredentials } = require("./page-sources");
+const { isValidDeviceId } = require("./device-registry");
+const { validateDeviceKeys, validateAllowedIps } = require("./access-control");
+const { DEFAULT_DWELL } = require("./playlists");
+
+// Settings of a single page. They can be set in the config file (as
+// `defaults`, per device or per page) and through environment variables,
+// which take precedence. Environment variables may be suffixed with `_n` to
+// only apply to page n.
+const PAGE_SETTINGS = [
+  { key: "imageFormat", env: "IMAGE_FORMAT", type: "enum", values: IMAGE_FORMATS, default: "png" },
+  { key: "jpegQuality", env: "JPEG_QUALITY", type: "integer", min: 1, max: 100, default: 100 },
+  { key: "pngCompressionLevel", env: "PNG_COMPRESSION_LEVEL", type: "integer", min: 0, max: 9, default: 9 },
+  { key: "rawBitDepth", env: "RAW_BIT_DEPTH", type: "enum", values: [4, 8], default: 8 },
+  { key: "rawInvert", env: "RAW_INVERT", type: "boolean", default: false },
+  { key: "outputPath", env: "OUTPUT_PATH", type: "string" },
+  // Home Assistant instance of the page, see getPageInstance. Unsuffixed
+  // environment variables only configure the global instance.
+  { key: "baseUrl", env: "HA_BASE_URL", type: "string", perPage: true },
+  { key: "accessToken", env: "HA_ACCESS_TOKEN", type: "string", perPage: true },
+  { key: "username", env: "HA_USERNAME", type: "string", perPage: true },
+  { key: "password", env: "HA_PASSWORD", type: "string", perPage: true },
+  { key: "trustedNetworkUser", env: "HA_TRUSTED_NETWORK_USER", type: "string", perPage: true },
+  { key: "renderingDelay", env: "RENDERING_DELAY", type: "integer", min: 0, default: 0 },
+  {
+    key: "readinessStrategies",
+    env: "READINESS_STRATEGIES",
+    type: "list",
+    default: ["delay"],
+    validate: (value) => {
+      const unknown = value.filter((strategy) => !READINESS_STRATEGIES.includes(strategy));
+      return unknown.length > 0 &&
+        `unknown strategies ${unknown.join(", ")}, expected ${READINESS_STRATEGIES.join(", ")}`;
+    }
+  },
+  // in milliseconds, per strategy
+  { key: "readinessTimeout", env: "READINESS_TIMEOUT", type: "integer", min: 0, default: 10000 },
+  { key: "readinessStableTime", env: "READINESS_STABLE_TIME", type: "integer", min: 0, default: 500 },
+  { key: "readinessSelector", env: "READINESS_SELECTOR", type: "string", default: null },
+  { key: "readinessFunction", env: "READINESS_FUNCTION", type: "string", default: null },
+  { key: "renderingScreenSize.height", env: "RENDERING_SCREEN_HEIGHT", type: "integer", min: 1, default: 800 },
+  { key: "renderingScreenSize.width", env: "RENDERING_SCREEN_WIDTH", type: "integer", min: 1, default: 600 },
+  { key: "grayscaleDepth", env: "GRAYSCALE_DEPTH", type: "enum", values: [1, 2, 4, 8], default: 8 },
+  { key: "removeGamma", env: "REMOVE_GAMMA", type: "boolean", default: false },
+  { key: "blackLevel", env: "BLACK_LEVEL", type: "percentage", default: "0%" },
+  { key: "whiteLevel", env: "WHITE_LEVEL", type: "percentage", default: "100%" },
+  { key: "dither", env: "DITHER", type: "boolean", default: false },
+  {
+    key: "ditherAlgorithm",
+    env: "DITHER_ALGORITHM",
+    type: "string",
+    default: "floyd-steinberg",
+    validate: (value) =>
+      normalizeDitherAlgorithm(value) === null &&
+      "must be one of floyd-steinberg, atkinson, ordered"
+  },
+  { key: "colorMode", env: "COLOR_MODE", type: "enum", values: ["GrayScale", "Grayscale", "TrueColor"], default: "GrayScale" },
+  { key: "prefersColorScheme", env: "PREFERS_COLOR_SCHEME", type: "enum", values: ["light", "dark"], default: "light" },
+  {
+    key: "rotation",
+    env: "ROTATION",
+    type: "integer",
+    default: 0,
+    validate: (value) => value % 90 !== 0 && "must be a multiple of 90"
+  },
+  { key: "scaling", env: "SCALING", type: "number", min: 0.01, default: 1 },
+  { key: "batteryWebHook", env: "HA_BATTERY_WEBHOOK", type: "string", default: null },
+  { key: "saturation", env: "SATURATION", type: "number", min: 0, default: 1 },
+  { key: "contrast", env: "CONTRAST", type: "number", min: 0, default: 1 },
+  // conversion steps in their order, replacing removeGamma, rotation,
+  // saturation, contrast, blackLevel and whiteLevel, see filters.js.
+  // colorMode still decides whether the result is grayscale.
+  { key: "filters", env: "FILTERS", type: "list", separator: ";", default: [], validate: validateFilters },
+  // defaults to the global cronJob
+  {
+    key: "cronJob",
+    env: "CRON_JOB",
+    type: "string",
+    validate: (value) => !isValidCronExpression(value) && "must be a valid cron expression"
+  },
+  {
+    key: "quietHours",
+    env: "QUIET_HOURS",
+    type: "string",
+    default: null,
+    validate: (value) =>
+      parseQuietHours(value) === null && 'expected time ranges like "22:00-06:00"'
+  },
+  { key: "triggerEntities", env: "HA_TRIGGER_ENTITIES", type: "list", default: [] },
+  { key: "overlayBattery", env: "OVERLAY_BATTERY", type: "boolean", default: false },
+  { key: "overlayTimestamp", env: "OVERLAY_TIMESTAMP", type: "boolean", default: false },
+  { key: "overlayStaleBanner", env: "OVERLAY_STALE_BANNER", type: "boolean", default: false },
+  // in seconds, defaults to three times the interval of the page's cronJob
+  { key: "overlayStaleAfter", env: "OVERLAY_STALE_AFTER", type: "integer", min: 1, default: null },
+  { key: "overlayPosition", env: "OVERLAY_POSITION", type: "enum", values: OVERLAY_POSITIONS, default: "bottom-right" },
+  { key: "overlayFontSize", env: "OVERLAY_FONT_SIZE", type: "integer", min: 6, default: 16 },
+  { key: "overlayFont", env: "OVERLAY_FONT", type: "string", default: "sans-serif" },
+  // capture these elements instead of the whole viewport, see capture.js
+  { key: "captureSelectors", env: "CAPTURE_SELECTORS", type: "list", separator: ";", default: [] },
+  { key: "captureFit", env: "CAPTURE_FIT", type: "enum", values: CAPTURE_FITS, default: "contain" },
+  { key: "captureLayout", env: "CAPTURE_LAYOUT", type: "enum", values: CAPTURE_LAYOUTS, default: "vertical" },
+  // directives sent to devices along with the image, see directives.js
+  { key: "fullRefreshEvery", env: "FULL_REFRESH_EVERY", type: "integer", min: 1, default: 10 },
+  { key: "lowBatteryLevel", env: "LOW_BATTERY_LEVEL", type: "integer", min: 0, max: 100, default: 20 },
+  // in seconds
+  { key: "lowBatteryPollInterval", env: "LOW_BATTERY_POLL_INTERVAL", type: "integer", min: 0, default: 3600 },
+  { key: "stayAwakeWhileCharging", env: "STAY_AWAKE_WHILE_CHARGING", type: "boolean", default: true },
+  { key: "fallbackMode", env: "FALLBACK_MODE", type: "enum", values: FALLBACK_MODES, default: "error-screen" },
+  // consecutive failed renders before the fallback replaces the last image
+  { key: "fallbackAfter", env: "FALLBACK_AFTER", type: "integer", min: 1, default: 3 },
+  { key: "fallbackImage", env: "FALLBACK_IMAGE", type: "string", default: null },
+  // past renders kept per page, see render-history.js. The age is in hours,
+  // the size in MB.
+  { key: "historySize", env: "HISTORY_SIZE", type: "integer", min: 0, default: 0 },
+  { key: "historyMaxAge", env: "HISTORY_MAX_AGE", type: "number", min: 0, default: 0 },
+  { key: "historyMaxSize", env: "HISTORY_MAX_SIZE", type: "number", min: 0, default: 0 }
+];
+
+// Settings which apply to the whole instance
+const GLOBAL_SETTINGS = [
+  { key: "baseUrl", env: "HA_BASE_URL", type: "string" },
+  { key: "accessToken", env: "HA_ACCESS_TOKEN", type: "string" },
+  // alternatives to accessToken, which log in through HA's auth flow
+  { key: "username", env: "HA_USERNAME", type: "string", default: null },
+  { key: "password", env: "HA_PASSWORD", type: "string", default: null },
+  { key: "trustedNetworkUser", env: "HA_TRUSTED_NETWORK_USER", type: "string", default: null },
+  {
+    key: "cronJob",
+    env: "CRON_JOB",
+    type: "string",
+    default: "* * * * *",
+    validate: (value) => !isValidCronExpression(value) && "must be a valid cron expression"
+  },
+  // defaults to devices.json next to the first page's image
+  { key: "deviceRegistryFile", env: "DEVICE_REGISTRY_FILE", type: "string", default: null },
+  { key: "adminUi", env: "ADMIN_UI", type: "boolean", default: true },
+  // serve the admin UI to everyone instead of only via ingress and to this
+  // host, unless devices need credentials
+  { key: "adminPublic", env: "ADMIN_PUBLIC", type: "boolean", default: false },
+  // settings saved in the admin UI, defaults to page-settings.json next to
+  // the device registry
+  { key: "tunedSettingsFile", env: "TUNED_SETTINGS_FILE", type: "string", default: null },
+  // defaults to history next to the device registry
+  { key: "historyDir", env: "HISTORY_DIR", type: "string", default: null },
+  // publishes devices to Home Assistant through MQTT discovery if set, see
+  // mqtt-discovery.js
+  {
+    key: "mqttUrl",
+    env: "MQTT_URL",
+    type: "string",
+    default: null,
+    validate: (value) =>
+      !/^(mqtts?|wss?):\/\//i.test(value) && 'expected a URL like "mqtt://localhost:1883"'
+  },
+  { key: "mqttUsername", env: "MQTT_USERNAME", type: "string", default: null },
+  { key: "mqttPassword", env: "MQTT_PASSWORD", type: "string", default: null },
+  { key: "mqttTopicPrefix", env: "MQTT_TOPIC_PREFIX", type: "string", default: "kindle-screensaver" },
+  { key: "mqttDiscoveryPrefix", env: "MQTT_DISCOVERY_PREFIX", type: "string", default: "homeassistant" },
+  // enables the render and upload API, see http-api.js
+  { key: "apiToken", env: "API_TOKEN", type: "string", default: null },
+  // access control for devices, see access-control.js
+  { key: "allowedIps", env: "ALLOWED_IPS", type: "list", default: [], validate: validateAllowedIps },
+  { key: "deviceKeys", env: "DEVICE_KEYS", type: "list", default: [], validate: validateDeviceKeys },
+  { key: "urlSigningSecret", env: "URL_SIGNING_SECRET", type: "string", default: null },
+  // only needed if Home Assistant's websocket API isn't reachable via baseUrl
+  { key: "haWebsocketUrl", env: "HA_WEBSOCKET_URL", type: "string", default: null },
+  { key: "port", env: "PORT", type: "integer", min: 1, max: 65535, default: 5000 },
+  { key: "renderingTimeout", env: "RENDERING_TIMEOUT", type: "integer", min: 0, default: 10000 },
+  { key: "pageConcurrency", env: "PAGE_CONCURRENCY", type: "integer", min: 1, default: 2 },
+  // in milliseconds, for the whole render of a single page
+  { key: "pageRenderTimeout", env: "PAGE_RENDER_TIMEOUT", type: "integer", min: 1000, default: 60000 },
+  { key: "reuseTabs", env: "REUSE_TABS", type: "boolean", default: true },
+  { key: "renderConcurrency", env: "RENDER_CONCURRENCY", type: "integer", min: 1, default: 2 },
+  // in seconds, converted to milliseconds below
+  { key: "renderCacheTtl", env: "RENDER_CACHE_TTL", type: "number", min: 0, default: 60 },
+  { key: "renderCacheSize", env: "RENDER_CACHE_SIZE", type: "integer", min: 0, default: 20 },
+  { key: "browserLaunchTimeout", env: "BROWSER_LAUNCH_TIMEOUT", type: "integer", min: 0, default: 30000 },
+  { key: "language", env: "LANGUAGE", type: "string", default: "en" },
+  { key: "theme", env: "HA_THEME", type: "string", default: "eink" },
+  { key: "debug", env: "DEBUG", type: "boolean", default: false },
+  { key: "ignoreCertificateErrors", env: "UNSAFE_IGNORE_CERTIFICATE_ERRORS", type: "boolean", default: false },
+  { key: "timezone", env: "TZ", type: "string", default: "Europe/Berlin" }
+];
+
+// Entries of the playlists in the config file, see playlists.js, and the
+// conditions of an entry in `when`
+const PLAYLIST_ENTRY_SETTINGS = [
+  // in seconds
+  { key: "dwell", type: "integer", min: 1, default: DEFAULT_DWELL },
+  {
+    key: "hours",
+    type: "string",
+    default: null,
+    validate: (value) =>
+      parseQuietHours(value) === null && 'expected time ranges like "06:00-11:00"'
+  }
+];
+const PLAYLIST_CONDITION_SETTINGS = [
+  { key: "entity", type: "string" },
+  { key: "above", type: "number", default: null },
+  { key: "below", type: "number", default: null }
+];
+
+const FILE_SECTIONS = ["defaults", "devices", "pages", "playlists"];
+
 function getEnvironmentVariable(key, suffix, fallbackValue) {
   const value = process.env[key + suffix];
   if (value !== undefined) return value;
   return fallbackValue || process.env[key];
 }
 
-function getPagesConfig() {
+// Converts a value from the config file or an environment variable to the
+// setting's type. Returns `{ value }` or `{ error }`.
+function parseSettingValue(setting, rawValue) {
+  let value = rawValue;
+  switch (setting.type) {
+    case "string":
+      if (typeof value !== "string") {
+        return { error: `expected a string, got ${JSON.stringify(value)}` };
+      }
+      break;
+    case "boolean":
+      if (value === "true") value = true;
+      if (value === "false") value = false;
+      if (typeof value !== "boolean") {
+        return { error: `expected true or false, got ${JSON.stringify(rawValue)}` };
+      }
+      break;
+    case "number":
+    case "integer":
+      value = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof value !== "number" || isNaN(value)) {
+        return { error: `expected a number, got ${JSON.stringify(rawValue)}` };
+      }
+      if (setting.type === "integer" && !Number.isInteger(value)) {
+        return { error: `expected an integer, got ${JSON.stringify(rawValue)}` };
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `must be at least ${setting.min}, got ${value}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { error: `must be at most ${setting.max}, got ${value}` };
+      }
+      break;
+    case "percentage":
+      if (typeof value === "number") value = `${value}%`;
+      if (typeof value !== "string" || !/^\d+(\.\d+)?%$/.test(value) || parseFloat(value) > 100) {
+        return { error: `expected a percentage like "30%", got ${JSON.stringify(rawValue)}` };
+      }
+      break;
+    case "list":
+      // environment variables contain comma separated values, unless the
+      // values may contain commas themselves
+      if (typeof value === "string") {
+        value = value.split(setting.separator || ",").map((item) => item.trim()).filter((item) => item);
+      }
+      if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+        return { error: `expected a list of strings, got ${JSON.stringify(rawValue)}` };
+      }
+      break;
+    case "enum": {
+      const match = setting.values.find((allowed) => String(allowed) === String(value));
+      if (match === undefined) {
+        return {
+          error: `must be one of ${setting.values.join(", ")}, got ${JSON.stringify(rawValue)}`
+        };
+      }
+      value = match;
+      break;
+    }
+  }
+  const validationError = setting.validate && setting.validate(value);
+  return validationError ? { error: validationError } : { value };
+}
+
+function setPath(target, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  for (const part of parts) {
+    target = target[part] = target[part] || {};
+  }
+  target[last] = value;
+}
+
+function getPath(source, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), source);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Reports keys of the config file which don't belong to any setting, as these
+// are most likely typos
+function checkUnknownKeys(source, settings, allowedKeys, location, errors) {
+  const knownKeys = new Set([...allowedKeys, ...settings.map((s) => s.key)]);
+  for (const [key, value] of Object.entries(source)) {
+    if (knownKeys.has(key)) continue;
+    const nestedSettings = settings.filter((s) => s.key.startsWith(key + "."));
+    if (nestedSettings.length > 0 && isObject(value)) {
+      const nestedKeys = nestedSettings.map((s) => s.key.substring(key.length + 1));
+      for (const nestedKey of Object.keys(value)) {
+        if (!nestedKeys.includes(nestedKey)) {
+          errors.push(`${location}${key}.${nestedKey}: unknown setting`);
+        }
+      }
+      continue;
+    }
+    errors.push(`${location}${key}: unknown setting`);
+  }
+}
+
+// Applies all settings found in `source` (part of the config file) to `target`
+function applyFileSettings(target, source, settings, location, errors) {
+  for (const setting of settings) {
+    const rawValue = getPath(source, setting.key);
+    if (rawValue === undefined || rawValue === null) continue;
+    const { value, error } = parseSettingValue(setting, rawValue);
+    if (error) {
+      errors.push(`${location}${setting.key}: ${error}`);
+    } else {
+      setPath(target, setting.key, value);
+    }
+  }
+}
+
+function applyEnvironmentSettings(target, settings, suffix, errors) {
+  for (const setting of settings) {
+    const rawValue = setting.perPage
+      ? process.env[setting.env + suffix]
+      : getEnvironmentVariable(setting.env, suffix);
+    // empty values are what the add-on exports for options which aren't set
+    if (rawValue === undefined || rawValue === "") continue;
+    const { value, error } = parseSettingValue(setting, rawValue);
+    if (error) {
+      const name = process.env[setting.env + suffix] !== undefined
+        ? setting.env + suffix
+        : setting.env;
+      errors.push(`${name}: ${error}`);
+    } else {
+      setPath(target, setting.key, value);
+    }
+  }
+}
+
+function getDefaults(settings) {
+  const defaults = {};
+  for (const setting of settings) {
+    if (setting.default !== undefined) setPath(defaults, setting.key, setting.default);
+  }
+  return defaults;
+}
+
+function mergeSettings(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer)) {
+      merged[key] = isObject(value) ? { ...merged[key], ...value } : value;
+    }
+  }
+  return merged;
+}
+
+function readConfigFile(configFile, errors) {
+  if (!configFile) return {};
+  let content;
+  try {
+    content = fs.readFileSync(configFile, "utf8");
+  } catch (e) {
+    errors.push(`${configFile}: ${e.message}`);
+    return {};
+  }
+  try {
+    const ext = path.extname(configFile).toLowerCase();
+    const parsed = ext === ".json" ? JSON.parse(content) : YAML.parse(content);
+    if (parsed === null || parsed === undefined) return {};
+    if (!isObject(parsed)) {
+      errors.push(`${configFile}: expected an object at the top level`);
+      return {};
+    }
+    return parsed;
+  } catch (e) {
+    errors.push(`${configFile}: ${e.message}`);
+    return {};
+  }
+}
+
+// Pages use the global Home Assistant instance, unless they set another
+// baseUrl. Pages without credentials of their own use those of the previous
+// page of the same instance or the global ones.
+function getPageInstance(page, previousPages, globalSettings) {
+  const credentialKeys = ["accessToken", "username", "trustedNetworkUser"];
+  const baseUrl = page.baseUrl || globalSettings.baseUrl;
+  let source = page;
+  if (!credentialKeys.some((key) => page[key])) {
+    source =
+      previousPages.find((other) => usesHaInstance(other) && other.baseUrl === baseUrl) ||
+      (baseUrl === globalSettings.baseUrl ? globalSettings : page);
+  }
+  return {
+    baseUrl,
+    accessToken: source.accessToken || null,
+    username: source.username || null,
+    password: source.password || null,
+    trustedNetworkUser: source.trustedNetworkUser || null
+  };
+}
+
+function getPagesConfig(file, globalSettings, errors) {
+  const fileDefaults = {};
+  if (file.defaults !== undefined) {
+    if (isObject(file.defaults)) {
+      checkUnknownKeys(file.defaults, PAGE_SETTINGS, [], "defaults.", errors);
+      applyFileSettings(fileDefaults, file.defaults, PAGE_SETTINGS, "defaults.", errors);
+    } else {
+      errors.push("defaults: expected an object");
+    }
+  }
+
+  const devices = {};
+  if (file.devices !== undefined) {
+    if (isObject(file.devices)) {
+      for (const [name, device] of Object.entries(file.devices)) {
+        const location = `devices.${name}.`;
+        devices[name] = {};
+        if (!isObject(device)) {
+          errors.push(`devices.${name}: expected an object`);
+          continue;
+        }
+        checkUnknownKeys(device, PAGE_SETTINGS, [], location, errors);
+        applyFileSettings(devices[name], device, PAGE_SETTINGS, location, errors);
+      }
+    } else {
+      errors.push("devices: expected an object with one entry per device");
+    }
+  }
+
+  const filePages = file.pages === undefined ? [] : file.pages;
+  if (!Array.isArray(filePages)) {
+    errors.push("pages: expected a list");
+  }
+
   const pages = [];
   let i = 0;
   while (++i) {
     const suffix = i === 1 ? "" : `_${i}`;
-    const screenShotUrl = process.env[`HA_SCREENSHOT_URL${suffix}`];
-    if (!screenShotUrl) return pages;
-    pages.push({
-      screenShotUrl,
-      imageFormat: getEnvironmentVariable("IMAGE_FORMAT", suffix) || "png",
-      outputPath: getEnvironmentVariable(
-        "OUTPUT_PATH",
-        suffix,
-        `output/cover${suffix}`
-      ),
-      renderingDelay: Number(getEnvironmentVariable("RENDERING_DELAY", suffix)) || 0,
-      renderingScreenSize: {
-        height:
-          Number(getEnvironmentVariable("RENDERING_SCREEN_HEIGHT", suffix)) || 800,
-        width: Number(getEnvironmentVariable("RENDERING_SCREEN_WIDTH", suffix)) || 600,
-      },
-      grayscaleDepth: Number(getEnvironmentVariable("GRAYSCALE_DEPTH", suffix)) || 8,
-      removeGamma: getEnvironmentVariable("REMOVE_GAMMA", suffix) === "true" || false,
-      blackLevel: getEnvironmentVariable("BLACK_LEVEL", suffix) || "0%",
-      whiteLevel: getEnvironmentVariable("WHITE_LEVEL", suffix) || "100%",
-      dither: getEnvironmentVariable("DITHER", suffix) === "true" || false,
-      colorMode: getEnvironmentVariable("COLOR_MODE", suffix) || "GrayScale",
-      prefersColorScheme: getEnvironmentVariable("PREFERS_COLOR_SCHEME", suffix) || "light",
-      rotation: Number(getEnvironmentVariable("ROTATION", suffix)) || 0,
-      scaling: Number(getEnvironmentVariable("SCALING", suffix)) || 1,
-      batteryWebHook: getEnvironmentVariable("HA_BATTERY_WEBHOOK", suffix) || null,
-      saturation: Number(getEnvironmentVariable("SATURATION", suffix)) || 1,
-      contrast: Number(getEnvironmentVariable("CONTRAST", suffix)) || 1,
-    });
+    const filePage = Array.isArray(filePages) ? filePages[i - 1] : undefined;
+    const screenShotUrl = process.env[`HA_SCREENSHOT_URL${suffix}`] ||
+      (filePage && filePage.screenShotUrl);
+    if (!filePage && !screenShotUrl) return pages;
+
+    const location = `pages[${i - 1}].`;
+    const pageSettings = {};
+    let device = null;
+    if (filePage !== undefined) {
+      if (!isObject(filePage)) {
+        errors.push(`pages[${i - 1}]: expected an object`);
+        continue;
+      }
+      checkUnknownKeys(filePage, PAGE_SETTINGS, ["screenShotUrl", "device", "name"], location, errors);
+      applyFileSettings(pageSettings, filePage, PAGE_SETTINGS, location, errors);
+      if (filePage.device !== undefined) {
+        device = filePage.device;
+        if (!devices[device]) {
+          errors.push(`${location}device: unknown device ${JSON.stringify(device)}`);
+        }
+      }
+    }
+    if (typeof screenShotUrl !== "string" || screenShotUrl === "") {
+      errors.push(`${location}screenShotUrl: required`);
+    }
+
+    const envSettings = {};
+    applyEnvironmentSettings(envSettings, PAGE_SETTINGS, suffix, errors);
+
+    const page = mergeSettings(
+      getDefaults(PAGE_SETTINGS),
+      { outputPath: `output/cover${suffix}`, cronJob: globalSettings.cronJob },
+      fileDefaults,
+      devices[device] || {},
+      pageSettings,
+      envSettings,
+      {
+        screenShotUrl,
+        device,
+        name: (filePage && filePage.name) || null
+      }
+    );
+    Object.assign(page, getPageInstance(page, pages, globalSettings));
+    if (usesHaInstance(page)) {
+      if (!page.baseUrl) {
+        errors.push(`${location}baseUrl (HA_BASE_URL${suffix}): required`);
+      }
+      if (!page.accessToken && !page.username && !page.trustedNetworkUser) {
+        errors.push(
+          `${location}accessToken (HA_ACCESS_TOKEN${suffix}): required for ${page.baseUrl}, unless username or trustedNetworkUser is set`
+        );
+      }
+      if (page.username && !page.password) {
+        errors.push(`${location}password (HA_PASSWORD${suffix}): required if username is set`);
+      }
+      // the browser keeps one login per instance
+      const otherPage = pages.find(
+        (other) => usesHaInstance(other) && other.baseUrl === page.baseUrl
+      );
+      if (
+        otherPage &&
+        JSON.stringify(getInstanceCredentials(otherPage)) !== JSON.stringify(getInstanceCredentials(page))
+      ) {
+        errors.push(
+          `${location}accessToken (HA_ACCESS_TOKEN${suffix}): pages of ${page.baseUrl} must use the same credentials`
+        );
+      }
+    }
+    if (page.readinessStrategies.includes("selector") && !page.readinessSelector) {
+      errors.push(
+        `${location}readinessSelector (READINESS_SELECTOR${suffix}): required for the "selector" strategy`
+      );
+    }
+    if (page.readinessStrategies.includes("function") && !page.readinessFunction) {
+      errors.push(
+        `${location}readinessFunction (READINESS_FUNCTION${suffix}): required for the "function" strategy`
+      );
+    }
+    if (page.fallbackMode === "image" && !page.fallbackImage) {
+      errors.push(
+        `${location}fallbackImage (FALLBACK_IMAGE${suffix}): required if fallbackMode is "image"`
+      );
+    }
+    pages.push(page);
   }
   return pages;
 }
 
-module.exports = {
-  baseUrl: process.env.HA_BASE_URL,
-  accessToken: process.env.HA_ACCESS_TOKEN,
-  cronJob: process.env.CRON_JOB || "* * * * *",
-  pages: getPagesConfig(),
-  port: process.env.PORT || 5000,
-  renderingTimeout: process.env.RENDERING_TIMEOUT || 10000,
-  browserLaunchTimeout: process.env.BROWSER_LAUNCH_TIMEOUT || 30000,
-  language: process.env.LANGUAGE || "en",
-  theme: process.env.HA_THEME ? { theme: process.env.HA_THEME } : { theme: 'eink' },
-  debug: process.env.DEBUG === "true",
-  ignoreCertificateErrors:
-    process.env.UNSAFE_IGNORE_CERTIFICATE_ERRORS === "true",
-  timezone: process.env.TZ || "Europe/Berlin"
-};
+// Conditions are a single one or a list. `state` may be one state or a list
+// of them.
+function getPlaylistConditions(when, location, errors) {
+  if (when === undefined || when === null) return [];
+  const conditions = [];
+  for (const [i, condition] of (Array.isArray(when) ? when : [when]).entries()) {
+    const conditionLocation = Array.isArray(when) ? `${location}[${i}].` : `${location}.`;
+    if (!isObject(condition)) {
+      errors.push(`${conditionLocation.slice(0, -1)}: expected an object`);
+      continue;
+    }
+    checkUnknownKeys(condition, PLAYLIST_CONDITION_SETTINGS, ["state"], conditionLocation, errors);
+    const parsed = getDefaults(PLAYLIST_CONDITION_SETTINGS);
+    applyFileSettings(parsed, condition, PLAYLIST_CONDITION_SETTINGS, conditionLocation, errors);
+    if (!parsed.entity) {
+      errors.push(`${conditionLocation}entity: required`);
+    }
+    parsed.state = null;
+    if (condition.state !== undefined && condition.state !== null) {
+      const states = Array.isArray(condition.state) ? condition.state : [condition.state];
+      if (states.some((state) => !["string", "number", "boolean"].includes(typeof state))) {
+        errors.push(
+          `${conditionLocation}state: expected a state or a list of states, got ${JSON.stringify(condition.state)}`
+        );
+      } else {
+        parsed.state = states.map(String);
+      }
+    }
+    conditions.push(parsed);
+  }
+  return conditions;
+}
+
+// Index of the page given by its number or name, or -1
+function findPageIndex(pages, page) {
+  if (typeof page === "number") {
+    return Number.isInteger(page) && page >= 1 && page <= pages.length ? page - 1 : -1;
+  }
+  return pages.findIndex((pageConfig) => pageConfig.name !== null && pageConfig.name === page);
+}
+
+// Playlists by device name. Entries refer to pages by their number or name.
+function getPlaylistsConfig(file, pages, errors) {
+  // without a prototype, so device names like constructor find no playlist
+  const playlists = Object.create(null);
+  if (file.playlists === undefined) return playlists;
+  if (!isObject(file.playlists)) {
+    errors.push("playlists: expected an object with one playlist per device");
+    return playlists;
+  }
+
+  for (const [name, entries] of Object.entries(file.playlists)) {
+    if (!isValidDeviceId(name)) {
+      errors.push(`playlists.${name}: invalid device name, expected letters, digits, ".", "_" or "-"`);
+      continue;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      errors.push(`playlists.${name}: expected a list of pages`);
+      continue;
+    }
+    const playlist = [];
+    for (const [i, entry] of entries.entries()) {
+      const location = `playlists.${name}[${i}].`;
+      if (!isObject(entry)) {
+        errors.push(`playlists.${name}[${i}]: expected an object`);
+        continue;
+      }
+      checkUnknownKeys(entry, PLAYLIST_ENTRY_SETTINGS, ["page", "when"], location, errors);
+      const parsed = getDefaults(PLAYLIST_ENTRY_SETTINGS);
+      applyFileSettings(parsed, entry, PLAYLIST_ENTRY_SETTINGS, location, errors);
+
+      const pageIndex = findPageIndex(pages, entry.page);
+      if (pageIndex === -1) {
+        errors.push(
+          entry.page === undefined
+            ? `${location}page: required`
+            : `${location}page: unknown page ${JSON.stringify(entry.page)}`
+        );
+        continue;
+      }
+      const pageConfig = pages[pageIndex];
+      parsed.page = pageIndex + 1;
+      parsed.when = getPlaylistConditions(entry.when, `${location}when`, errors);
+      if (parsed.when.length > 0 && !pageConfig.baseUrl) {
+        errors.push(`${location}when: requires page ${pageIndex + 1} to have a baseUrl to get the states from`);
+      }
+      // the client script writes every image to the same file
+      if (playlist.length > 0 && pages[playlist[0].page - 1].imageFormat !== pageConfig.imageFormat) {
+        errors.push(`${location}page: all pages of a playlist must use the same imageFormat`);
+      }
+      playlist.push(parsed);
+    }
+    playlists[name] = playlist;
+  }
+  return playlists;
+}
+
+function getConfig() {
+  const errors = [];
+  const configFile = process.env.CONFIG_FILE || null;
+  const file = readConfigFile(configFile, errors);
+
+  checkUnknownKeys(file, GLOBAL_SETTINGS, FILE_SECTIONS, "", errors);
+  const fileSettings = {};
+  applyFileSettings(fileSettings, file, GLOBAL_SETTINGS, "", errors);
+  const envSettings = {};
+  applyEnvironmentSettings(envSettings, GLOBAL_SETTINGS, "", errors);
+  const settings = mergeSettings(getDefaults(GLOBAL_SETTINGS), fileSettings, envSettings);
+
+  const pages = getPagesConfig(file, settings, errors);
+  const playlists = getPlaylistsConfig(file, pages, errors);
+
+  const deviceRegistryFile =
+    settings.deviceRegistryFile ||
+    path.join(path.dirname(pages.length > 0 ? pages[0].outputPath : "output/cover"), "devices.json");
+
+  return {
+    ...settings,
+    theme: { theme: settings.theme },
+    renderCacheTtl: settings.renderCacheTtl * 1000,
+    deviceRegistryFile,
+    tunedSettingsFile:
+      settings.tunedSettingsFile ||
+      path.join(path.dirname(deviceRegistryFile), "page-settings.json"),
+    historyDir: settings.historyDir || path.join(path.dirname(deviceRegistryFile), "history"),
+    pages,
+    playlists,
+    configFile,
+    // unsuffixed environment variables apply to every page, report them once
+    errors: [...new Set(errors)]
+  };
+}
+
+module.exports = getConfig();
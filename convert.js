@@ -0,0 +1,92 @@
+// Runs the conversion of a page over an existing image, e.g. to try filters
+// on a screenshot without rendering the dashboard:
+//
+//   node convert.js screenshot.png cover.png --page 2 --filters "grayscale; autoLevels"
+//
+// The page's image format, gray levels and dithering apply as well. Without
+// --filters, the page's own filters are used.
+const { promises: fs } = require("fs");
+const config = require("./config");
+const { parseFilter, getFilterChain, applyFiltersAsync } = require("./filters");
+const { quantizeAndEncodeImageAsync } = require("./encoders");
+
+const USAGE = 'Usage: node convert.js <input> <output> [--page <n>] [--filters "<filter>; <filter>"]';
+
+// Returns `{ input, output, page, filters }` or `{ error }`
+function parseArguments(args) {
+  const files = [];
+  let page = 1;
+  let filters = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--page") {
+      page = parseInt(args[++i]);
+      if (!isFinite(page) || page < 1 || page > config.pages.length) {
+        return { error: `Invalid page: ${args[i]}, expected 1 to ${config.pages.length}` };
+      }
+    } else if (args[i] === "--filters") {
+      filters = (args[++i] || "").split(";").map((filter) => filter.trim()).filter((filter) => filter);
+    } else {
+      files.push(args[i]);
+    }
+  }
+  if (files.length !== 2) {
+    return { error: USAGE };
+  }
+  return { input: files[0], output: files[1], page, filters };
+}
+
+function formatFilter({ name, params }) {
+  const values = Object.entries(params)
+    .filter(([, value]) => value !== null)
+    .map(([param, value]) => `${param}=${typeof value === "number" ? +value.toFixed(4) : value}`);
+  return values.length > 0 ? `${name}(${values.join(", ")})` : name;
+}
+
+async function convertAsync(args) {
+  if (config.errors.length > 0) {
+    for (const error of config.errors) {
+      console.error(`Invalid configuration: ${error}`);
+    }
+    return 1;
+  }
+  if (config.pages.length === 0) {
+    console.error("No pages configured, set HA_SCREENSHOT_URL or CONFIG_FILE");
+    return 1;
+  }
+  const { input, output, page, filters, error } = parseArguments(args);
+  if (error) {
+    console.error(error);
+    return 1;
+  }
+
+  const pageConfig = config.pages[page - 1];
+  let chain;
+  if (filters) {
+    const parsed = filters.map(parseFilter);
+    const invalid = parsed.find((result) => result.error);
+    if (invalid) {
+      console.error(`Invalid filter: ${invalid.error}`);
+      return 1;
+    }
+    chain = parsed.map((result) => result.filter);
+  } else {
+    chain = getFilterChain(pageConfig);
+  }
+
+  const startedAt = Date.now();
+  const image = await applyFiltersAsync(pageConfig, input, chain);
+  await fs.writeFile(output, await quantizeAndEncodeImageAsync(pageConfig, image));
+  console.log(
+    `Converted ${input} to ${output} (${pageConfig.imageFormat}, ${image.info.width}x${image.info.height}) ` +
+      `in ${Date.now() - startedAt}ms using ${chain.map(formatFilter).join(", ") || "no filters"}`
+  );
+  return 0;
+}
+
+convertAsync(process.argv.slice(2)).then(
+  (exitCode) => (process.exitCode = exitCode),
+  (e) => {
+    console.error(`Conversion failed: ${e.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,135 @@
+// Persistent registry of the devices fetching images, so it's possible to
+// tell which device was last seen when and with which battery level
+const path = require("path");
+const { promises: fs } = require("fs");
+const fsExtra = require("fs-extra");
+
+const MAX_BATTERY_HISTORY = 1000;
+const SAVE_DELAY = 2000;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Devices identify themselves with `?deviceId=` or an `X-Device-Id` header,
+// devices which don't are tracked per page. Returns null for invalid ids.
+function getDeviceId(url, request, pageNumber) {
+  const deviceId =
+    url.searchParams.get("deviceId") || request.headers["x-device-id"];
+  if (deviceId === undefined || deviceId === null || deviceId === "") {
+    return `page-${pageNumber}`;
+  }
+  return isValidDeviceId(deviceId) ? deviceId : null;
+}
+
+function isValidDeviceId(deviceId) {
+  return DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function createDeviceRegistry(filePath) {
+  // without a prototype, so ids like __proto__ or constructor are just ids
+  let devices = Object.create(null);
+  let saveTimer = null;
+
+  const save = async () => {
+    saveTimer = null;
+    try {
+      await fsExtra.ensureDir(path.dirname(filePath));
+      const tempPath = filePath + ".new";
+      await fs.writeFile(tempPath, JSON.stringify(devices, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (e) {
+      console.error(`Could not save device registry to ${filePath}: ${e.message}`);
+    }
+  };
+
+  // Requests come in frequently, so only write the file once in a while
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DELAY);
+    }
+  };
+
+  return {
+    async load() {
+      try {
+        devices = Object.assign(
+          Object.create(null),
+          JSON.parse(await fs.readFile(filePath, "utf8"))
+        );
+        console.log(
+          `Loaded ${Object.keys(devices).length} device(s) from ${filePath}`
+        );
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          console.error(`Could not load device registry from ${filePath}: ${e.message}`);
+        }
+        devices = Object.create(null);
+      }
+    },
+
+    // Records an image request. `batteryLevel` and `isCharging` are only
+    // set if the device reported them, `refresh` only if the device was sent
+    // an image to show with a "full" or "partial" refresh. `playlist` is the
+    // position of a device in its playlist, see playlists.js.
+    recordRequest(
+      deviceId,
+      { pageNumber, ip, userAgent, status, batteryLevel, isCharging, refresh, playlist }
+    ) {
+      const now = new Date().toISOString();
+      const device = devices[deviceId] || (devices[deviceId] = {
+        id: deviceId,
+        firstSeen: now,
+        requestCount: 0,
+        batteryLevel: null,
+        isCharging: null,
+        // null until the device was told to do a full refresh
+        partialRefreshes: null,
+        batteryHistory: []
+      });
+
+      device.lastSeen = now;
+      device.lastIp = ip;
+      device.lastUserAgent = userAgent || null;
+      device.lastPage = pageNumber;
+      device.lastStatus = status;
+      device.requestCount++;
+      if (playlist) {
+        device.playlist = { entry: playlist.entry, since: playlist.since };
+      }
+      if (refresh) {
+        device.partialRefreshes = refresh === "full" ? 0 : (device.partialRefreshes || 0) + 1;
+      }
+
+      const batteryChanged =
+        (batteryLevel !== undefined && batteryLevel !== device.batteryLevel) ||
+        (isCharging !== undefined && isCharging !== device.isCharging);
+      if (batteryLevel !== undefined) device.batteryLevel = batteryLevel;
+      if (isCharging !== undefined) device.isCharging = isCharging;
+      if (batteryChanged) {
+        device.batteryHistory.push({
+          time: now,
+          batteryLevel: device.batteryLevel,
+          isCharging: device.isCharging
+        });
+        if (device.batteryHistory.length > MAX_BATTERY_HISTORY) {
+          device.batteryHistory.splice(0, device.batteryHistory.length - MAX_BATTERY_HISTORY);
+        }
+      }
+
+      scheduleSave();
+      return device;
+    },
+
+    list() {
+      return Object.values(devices).map(({ batteryHistory, ...device }) => device);
+    },
+
+    get(deviceId) {
+      return devices[deviceId] || null;
+    }
+  };
+}
+
+module.exports = {
+  getDeviceId,
+  isValidDeviceId,
+  createDeviceRegistry
+};
@@ -0,0 +1,56 @@
+// Directives for devices, returned along with their image, so polling and
+// refreshing can be tuned on the server instead of on every device
+const { getNextRenderTime } = require("./schedule");
+
+// renders take a while, so poll a bit after the next scheduled render
+const POLL_MARGIN = 15;
+const MIN_POLL_INTERVAL = 30;
+// poll at least once in this many seconds, e.g. if the page isn't rendered
+// again within a day
+const MAX_POLL_INTERVAL = 24 * 60 * 60;
+
+// `battery` is the last known battery state of the device and
+// `partialRefreshes` the number of images it showed with a partial refresh
+// since its last full refresh, null if it never did a full refresh
+function getDeviceDirectives(pageConfig, { battery, partialRefreshes }, now, timezone) {
+  const nextRender = getNextRenderTime(pageConfig.cronJob, pageConfig.quietHours, now, timezone);
+  let nextPoll = nextRender
+    ? Math.ceil((nextRender - now) / 1000) + POLL_MARGIN
+    : MAX_POLL_INTERVAL;
+
+  const isCharging = !!(battery && battery.isCharging);
+  const isLowBattery =
+    !isCharging &&
+    battery &&
+    battery.batteryLevel !== null &&
+    battery.batteryLevel !== undefined &&
+    battery.batteryLevel <= pageConfig.lowBatteryLevel;
+  if (isLowBattery) {
+    nextPoll = Math.max(nextPoll, pageConfig.lowBatteryPollInterval);
+  }
+
+  return {
+    nextPoll: Math.min(MAX_POLL_INTERVAL, Math.max(MIN_POLL_INTERVAL, nextPoll)),
+    nextRender,
+    // a full refresh clears the ghosting partial refreshes leave behind
+    refresh:
+      partialRefreshes === null || partialRefreshes + 1 >= pageConfig.fullRefreshEvery
+        ? "full"
+        : "partial",
+    stayAwake: isCharging && pageConfig.stayAwakeWhileCharging,
+    lowBattery: !!isLowBattery
+  };
+}
+
+function getDirectiveHeaders(directives) {
+  return {
+    "X-Next-Poll": String(directives.nextPoll),
+    "X-Refresh-Mode": directives.refresh,
+    "X-Stay-Awake": directives.stayAwake ? "1" : "0"
+  };
+}
+
+module.exports = {
+  getDeviceDirectives,
+  getDirectiveHeaders
+};
@@ -0,0 +1,138 @@
+// Grayscale quantization and dithering for e-ink panels which can only
+// display 2, 4, 16 or 256 gray levels.
+
+const DITHER_ALGORITHMS = ["none", "floyd-steinberg", "atkinson", "ordered"];
+
+// Error diffusion kernels as [dx, dy, weight] entries
+const DIFFUSION_KERNELS = {
+  "floyd-steinberg": {
+    divisor: 16,
+    entries: [
+      [1, 0, 7],
+      [-1, 1, 3],
+      [0, 1, 5],
+      [1, 1, 1]
+    ]
+  },
+  // Atkinson only diffuses 6/8 of the error which keeps highlights and
+  // shadows clean, which is what the original Macintosh used for 1-bit output
+  atkinson: {
+    divisor: 8,
+    entries: [
+      [1, 0, 1],
+      [2, 0, 1],
+      [-1, 1, 1],
+      [0, 1, 1],
+      [1, 1, 1],
+      [0, 2, 1]
+    ]
+  }
+};
+
+const BAYER_MATRIX_8X8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+// Accept a few common aliases so DITHER_ALGORITHM=bayer or =fs work as well
+function normalizeDitherAlgorithm(value) {
+  const name = String(value || "").trim().toLowerCase();
+  switch (name) {
+    case "":
+    case "floyd-steinberg":
+    case "floydsteinberg":
+    case "fs":
+      return "floyd-steinberg";
+    case "atkinson":
+      return "atkinson";
+    case "ordered":
+    case "bayer":
+      return "ordered";
+    case "none":
+    case "false":
+      return "none";
+    default:
+      return null;
+  }
+}
+
+function isValidGrayscaleDepth(depth) {
+  return depth === 1 || depth === 2 || depth === 4 || depth === 8;
+}
+
+// Reduces 8-bit grayscale pixels (one byte per pixel) to 2^depth levels.
+// Returns a buffer holding the level index (0 .. 2^depth - 1) of each pixel,
+// which can be written as-is into a PNG of the same bit depth.
+function quantizeGrayscale(pixels, width, height, depth, algorithm) {
+  const maxLevel = (1 << depth) - 1;
+  const step = 255 / maxLevel;
+  const result = Buffer.alloc(width * height);
+
+  if (algorithm === "ordered") {
+    for (let y = 0; y < height; y++) {
+      const row = BAYER_MATRIX_8X8[y % 8];
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        // Shift each pixel by up to half a level, depending on its position
+        const threshold = (row[x % 8] + 0.5) / 64 - 0.5;
+        result[i] = clampLevel(Math.round(pixels[i] / step + threshold), maxLevel);
+      }
+    }
+    return result;
+  }
+
+  const kernel = DIFFUSION_KERNELS[algorithm];
+  if (!kernel) {
+    for (let i = 0; i < width * height; i++) {
+      result[i] = Math.round(pixels[i] / step);
+    }
+    return result;
+  }
+
+  const values = Float32Array.from(pixels);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const level = clampLevel(Math.round(values[i] / step), maxLevel);
+      result[i] = level;
+      const error = (values[i] - level * step) / kernel.divisor;
+      for (const [dx, dy, weight] of kernel.entries) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          values[ny * width + nx] += error * weight;
+        }
+      }
+    }
+  }
+  return result;
+}
+
+// Maps level indices back to 8-bit gray values for encoders without support
+// for lower bit depths
+function levelsToGrayscale(levels, depth) {
+  const maxLevel = (1 << depth) - 1;
+  const gray = Buffer.alloc(levels.length);
+  for (let i = 0; i < levels.length; i++) {
+    gray[i] = Math.round((levels[i] * 255) / maxLevel);
+  }
+  return gray;
+}
+
+function clampLevel(level, maxLevel) {
+  return level < 0 ? 0 : level > maxLevel ? maxLevel : level;
+}
+
+module.exports = {
+  DITHER_ALGORITHMS,
+  normalizeDitherAlgorithm,
+  isValidGrayscaleDepth,
+  quantizeGrayscale,
+  levelsToGrayscale
+};
@@ -0,0 +1,246 @@
+const zlib = require("zlib");
+const sharp = require("sharp");
+const {
+  normalizeDitherAlgorithm,
+  quantizeGrayscale,
+  levelsToGrayscale
+} = require("./dither");
+
+const IMAGE_FORMATS = ["png", "jpeg", "bmp", "raw"];
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  bmp: "image/bmp",
+  raw: "application/octet-stream"
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Packs one sample per byte into rows of the given bit depth, MSB first
+function packSamples(samples, width, height, bitDepth, rowPrefix) {
+  const stride = Math.ceil((width * bitDepth) / 8);
+  const rowLength = stride + rowPrefix;
+  const packed = Buffer.alloc(rowLength * height);
+  const samplesPerByte = 8 / bitDepth;
+  for (let y = 0; y < height; y++) {
+    const rowOffset = y * rowLength + rowPrefix;
+    for (let x = 0; x < width; x++) {
+      const sample = samples[y * width + x];
+      const shift = 8 - bitDepth * ((x % samplesPerByte) + 1);
+      packed[rowOffset + Math.floor(x / samplesPerByte)] |= sample << shift;
+    }
+  }
+  return packed;
+}
+
+// Sharp only writes lower bit depths for palette PNGs, but Kindles expect
+// true grayscale images, so we write color type 0 ourselves.
+// `samples` holds one value between 0 and 2^bitDepth - 1 per pixel.
+function encodeGrayscalePng(samples, width, height, bitDepth) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = 0; // color type: grayscale
+  header[10] = 0; // compression: deflate
+  header[11] = 0; // filter method: adaptive
+  header[12] = 0; // interlace: none
+
+  // every row starts with filter type 0 (none) which packSamples leaves zeroed
+  const scanlines = packSamples(samples, width, height, bitDepth, 1);
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(scanlines, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// Uncompressed Windows bitmap. Grayscale images use a gray palette with 1, 4
+// or 8 bits per pixel (2-bit images are stored as 4-bit as BMP has no 2-bit
+// mode), color images are stored as 24-bit BGR.
+function encodeBmp(samples, width, height, channels, bitDepth) {
+  const isGrayscale = channels === 1;
+  const bitsPerPixel = isGrayscale ? (bitDepth === 2 ? 4 : bitDepth) : 24;
+  const paletteSize = isGrayscale ? 1 << bitDepth : 0;
+  const stride = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  const pixelOffset = 14 + 40 + paletteSize * 4;
+  const fileSize = pixelOffset + stride * height;
+
+  const bmp = Buffer.alloc(fileSize);
+  bmp.write("BM", 0, "ascii");
+  bmp.writeUInt32LE(fileSize, 2);
+  bmp.writeUInt32LE(pixelOffset, 10);
+  bmp.writeUInt32LE(40, 14); // BITMAPINFOHEADER size
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(height, 22); // positive height: rows are stored bottom-up
+  bmp.writeUInt16LE(1, 26); // color planes
+  bmp.writeUInt16LE(bitsPerPixel, 28);
+  bmp.writeUInt32LE(0, 30); // BI_RGB, no compression
+  bmp.writeUInt32LE(stride * height, 34);
+  bmp.writeInt32LE(2835, 38); // 72 DPI
+  bmp.writeInt32LE(2835, 42);
+  bmp.writeUInt32LE(paletteSize, 46);
+  bmp.writeUInt32LE(paletteSize, 50);
+
+  for (let i = 0; i < paletteSize; i++) {
+    const gray = Math.round((i * 255) / (paletteSize - 1));
+    bmp.writeUInt8(gray, 54 + i * 4);
+    bmp.writeUInt8(gray, 54 + i * 4 + 1);
+    bmp.writeUInt8(gray, 54 + i * 4 + 2);
+  }
+
+  if (isGrayscale) {
+    const rows = packSamples(samples, width, height, bitsPerPixel, 0);
+    const packedStride = Math.ceil((width * bitsPerPixel) / 8);
+    for (let y = 0; y < height; y++) {
+      rows.copy(
+        bmp,
+        pixelOffset + (height - 1 - y) * stride,
+        y * packedStride,
+        (y + 1) * packedStride
+      );
+    }
+  } else {
+    for (let y = 0; y < height; y++) {
+      const rowOffset = pixelOffset + (height - 1 - y) * stride;
+      for (let x = 0; x < width; x++) {
+        const source = (y * width + x) * channels;
+        bmp[rowOffset + x * 3] = samples[source + 2];
+        bmp[rowOffset + x * 3 + 1] = samples[source + 1];
+        bmp[rowOffset + x * 3 + 2] = samples[source];
+      }
+    }
+  }
+
+  return bmp;
+}
+
+// Headerless 4 or 8 bits per pixel dump which can be written straight into
+// a Kindle's framebuffer (e.g. using `fbink -r` or `cat > /dev/fb0`). Older
+// Kindles use 0 for white, which is what `invert` is for.
+function encodeRawFramebuffer(grayscale, width, height, bitsPerPixel, invert) {
+  const maxValue = (1 << bitsPerPixel) - 1;
+  const samples = Buffer.alloc(grayscale.length);
+  for (let i = 0; i < grayscale.length; i++) {
+    const value = Math.round((grayscale[i] * maxValue) / 255);
+    samples[i] = invert ? maxValue - value : value;
+  }
+  return bitsPerPixel === 8
+    ? samples
+    : packSamples(samples, width, height, bitsPerPixel, 0);
+}
+
+// Encodes raw pixels into the page's image format. Grayscale images have one
+// channel and may have a bit depth below 8 after quantization, in which case
+// `pixels` contains level indices instead of 8-bit values.
+async function encodeImageAsync(pageConfig, pixels, { width, height, channels, bitDepth }) {
+  const toGrayscale = () =>
+    bitDepth < 8 ? levelsToGrayscale(pixels, bitDepth) : pixels;
+  const toSharp = () =>
+    sharp(channels === 1 ? toGrayscale() : pixels, {
+      raw: { width, height, channels }
+    }).toColorspace(channels === 1 ? "b-w" : "srgb");
+
+  switch (pageConfig.imageFormat) {
+    case "png":
+      if (channels === 1 && bitDepth < 8) {
+        return encodeGrayscalePng(pixels, width, height, bitDepth);
+      }
+      return toSharp()
+        .png({ compressionLevel: pageConfig.pngCompressionLevel, palette: false })
+        .toBuffer();
+    case "jpeg":
+      return toSharp()
+        .jpeg({ quality: pageConfig.jpegQuality, chromaSubsampling: "4:4:4" })
+        .toBuffer();
+    case "bmp":
+      return encodeBmp(pixels, width, height, channels, channels === 1 ? bitDepth : 8);
+    case "raw":
+      return encodeRawFramebuffer(
+        toGrayscale(),
+        width,
+        height,
+        pageConfig.rawBitDepth,
+        pageConfig.rawInvert
+      );
+    default:
+      throw new Error(`Unsupported image format: ${pageConfig.imageFormat}`);
+  }
+}
+
+// Reduces grayscale images to the page's gray levels, with dithering if
+// enabled, and encodes them
+async function quantizeAndEncodeImageAsync(pageConfig, { data, info }) {
+  const isGrayscale = info.channels === 1;
+  let pixels = data;
+  let bitDepth = 8;
+
+  // Reduce to the gray levels the panel can actually display, so it doesn't
+  // have to map 8-bit gradients on its own which causes banding
+  if (isGrayscale && pageConfig.grayscaleDepth < 8) {
+    const algorithm = pageConfig.dither
+      ? normalizeDitherAlgorithm(pageConfig.ditherAlgorithm)
+      : "none";
+    pixels = quantizeGrayscale(
+      data,
+      info.width,
+      info.height,
+      pageConfig.grayscaleDepth,
+      algorithm
+    );
+    bitDepth = pageConfig.grayscaleDepth;
+  }
+
+  return encodeImageAsync(pageConfig, pixels, {
+    width: info.width,
+    height: info.height,
+    channels: info.channels,
+    bitDepth
+  });
+}
+
+function getImageMimeType(imageFormat) {
+  return MIME_TYPES[imageFormat] || "application/octet-stream";
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  encodeGrayscalePng,
+  encodeBmp,
+  encodeRawFramebuffer,
+  encodeImageAsync,
+  quantizeAndEncodeImageAsync,
+  getImageMimeType
+};
@@ -0,0 +1,94 @@
+// Image which replaces a page's dashboard if it can't be rendered anymore,
+// either a generated error screen or an image supplied by the user
+const sharp = require("sharp");
+const { escapeXml, formatDateTime, estimateCharacters } = require("./svg-text");
+
+const FALLBACK_MODES = ["none", "error-screen", "image"];
+
+// Large black text on white with thick lines, so it's readable on any panel
+// and survives quantization to 1 bit. The time of the last attempt is left
+// out on purpose, so the image only changes when the failure does.
+function createErrorScreenSvg(width, height, failure, timezone) {
+  const unit = Math.max(8, Math.round(Math.min(width, height) / 24));
+
+  // wraps long error messages
+  const wrap = (text, size, maxLines) => {
+    const maxChars = Math.max(10, estimateCharacters(width - unit * 4, size));
+    const lines = [];
+    for (const word of String(text).split(/\s+/)) {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && (last + " " + word).length <= maxChars) {
+        lines[lines.length - 1] = last + " " + word;
+      } else {
+        lines.push(word.length > maxChars ? word.slice(0, maxChars - 1) + "…" : word);
+      }
+    }
+    if (lines.length > maxLines) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 1) + "…";
+    }
+    return lines;
+  };
+
+  const lines = [
+    ...wrap(failure.description, unit * 1.5, 2).map((text) => ({ text, size: unit * 1.5, weight: "bold" })),
+    ...wrap(failure.message || "", unit * 0.8, 3).map((text) => ({ text, size: unit * 0.8 })),
+    {
+      text: failure.since ? `Failing since ${formatDateTime(failure.since, timezone)}` : "",
+      size: unit
+    },
+    {
+      text: failure.lastSuccess
+        ? `Last update ${formatDateTime(failure.lastSuccess, timezone)}`
+        : "No successful update yet",
+      size: unit
+    }
+  ].filter((line) => line.text);
+
+  const lineSpacing = 1.6;
+  const totalHeight = lines.reduce((sum, line) => sum + line.size * lineSpacing, 0);
+  let y = (height - totalHeight) / 2;
+  let text = "";
+  for (const line of lines) {
+    y += line.size * lineSpacing;
+    text += `<text x="${width / 2}" y="${y}" text-anchor="middle" font-family="sans-serif" font-size="${line.size}" font-weight="${line.weight || "normal"}" fill="black">${escapeXml(line.text)}</text>`;
+  }
+
+  const border = Math.round(unit / 2);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="white"/>` +
+    `<rect x="${border / 2}" y="${border / 2}" width="${width - border}" height="${height - border}" fill="none" stroke="black" stroke-width="${border}"/>` +
+    text +
+    `</svg>`;
+}
+
+// Returns a PNG in the size of the rendered dashboard, i.e. before it's
+// rotated for the device. `failure` has the `description` and `message` of
+// the error, when the page started failing (`since`) and its `lastSuccess`.
+async function createFallbackImageAsync(pageConfig, failure, timezone) {
+  const { width, height } = pageConfig.renderingScreenSize;
+
+  if (pageConfig.fallbackMode === "image") {
+    try {
+      return await sharp(pageConfig.fallbackImage)
+        .resize(width, height, { fit: "contain", background: "#ffffff" })
+        .flatten({ background: "#ffffff" })
+        .png()
+        .toBuffer();
+    } catch (e) {
+      console.error(
+        `Could not load fallback image ${pageConfig.fallbackImage}, showing error screen instead: ${e.message}`
+      );
+    }
+  }
+
+  return sharp(Buffer.from(createErrorScreenSvg(width, height, failure, timezone)))
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  FALLBACK_MODES,
+  createErrorScreenSvg,
+  createFallbackImageAsync
+};
@@ -0,0 +1,319 @@
+// Conversion of screenshots as an ordered chain of filters, so each page can
+// use its own steps in its own order. Filters are written like
+// `levels(10%, 90%)` or `pad(top=20, color=#000000)`. Pages without
+// `filters` use the chain given by their legacy settings, see
+// getFilterChain. Quantization and encoding always come last.
+const sharp = require("sharp");
+
+const WHITE = "#ffffff";
+
+// Filters with their parameters in the order they may be given without a
+// name. Parameters without a default are required.
+const FILTERS = {
+  // gm's gamma, 0.4545 removes a gamma of 2.2 and darkens the image
+  gamma: {
+    params: [{ name: "value", type: "number", min: 0.01, default: 1 / 2.2 }],
+    apply: (image, { value }) => mapLevels(image, (level) => 255 * Math.pow(level / 255, 1 / value))
+  },
+  rotate: {
+    params: [{ name: "angle", type: "number" }],
+    apply: (image, { angle }) => pipe(image, (s) => s.rotate(angle, { background: WHITE }))
+  },
+  grayscale: {
+    params: [],
+    apply: (image) => pipe(image, (s) => s.grayscale())
+  },
+  saturation: {
+    params: [{ name: "value", type: "number", min: 0, default: 1 }],
+    apply: (image, { value }) =>
+      image.info.channels === 1 ? image : pipe(image, (s) => s.modulate({ saturation: value }))
+  },
+  contrast: {
+    params: [{ name: "value", type: "number", min: 0, default: 1 }],
+    apply: (image, { value }) => mapLevels(image, (level) => value * (level - 128) + 128)
+  },
+  // maps black to 0 and white to 255
+  levels: {
+    params: [
+      { name: "black", type: "percentage", default: 0 },
+      { name: "white", type: "percentage", default: 100 }
+    ],
+    apply: (image, { black, white }) => {
+      const inputMin = Math.round((black / 100) * 255);
+      const inputMax = Math.round((white / 100) * 255);
+      return mapLevels(image, (level) => ((level - inputMin) * 255) / Math.max(1, inputMax - inputMin));
+    }
+  },
+  crop: {
+    params: [
+      { name: "left", type: "integer", min: 0 },
+      { name: "top", type: "integer", min: 0 },
+      { name: "width", type: "integer", min: 1 },
+      { name: "height", type: "integer", min: 1 }
+    ],
+    apply: (image, region) => pipe(image, (s) => s.extract(region))
+  },
+  // border like CSS margins, e.g. pad(10, 20) adds 10 pixels at the top and
+  // bottom and 20 pixels at the left and right
+  pad: {
+    params: [
+      { name: "top", type: "integer", min: 0 },
+      { name: "right", type: "integer", min: 0, default: null },
+      { name: "bottom", type: "integer", min: 0, default: null },
+      { name: "left", type: "integer", min: 0, default: null },
+      { name: "color", type: "color", default: WHITE }
+    ],
+    apply: (image, { top, right, bottom, left, color }) => {
+      right = right === null ? top : right;
+      bottom = bottom === null ? top : bottom;
+      left = left === null ? right : left;
+      return pipe(image, (s) => s.extend({ top, right, bottom, left, background: color }));
+    }
+  },
+  // e.g. for dashboards with a dark theme
+  invert: {
+    params: [],
+    apply: (image) => mapLevels(image, (level) => 255 - level)
+  },
+  // stretches the levels between the given percentiles to the full range
+  autoLevels: {
+    params: [
+      { name: "lower", type: "number", min: 0, max: 99, default: 1 },
+      { name: "upper", type: "number", min: 1, max: 100, default: 99 }
+    ],
+    apply: (image, { lower, upper }) => pipe(image, (s) => s.normalise({ lower, upper }))
+  },
+  // histogram equalization, which spreads frequent levels apart
+  equalize: {
+    params: [],
+    apply: (image) => equalize(image)
+  },
+  // unsharp mask, see sharp's sharpen()
+  sharpen: {
+    params: [
+      { name: "sigma", type: "number", min: 0.01, default: 1 },
+      { name: "flat", type: "number", min: 0, default: 1 },
+      { name: "jagged", type: "number", min: 0, default: 2 }
+    ],
+    apply: (image, { sigma, flat, jagged }) =>
+      pipe(image, (s) => s.sharpen({ sigma, m1: flat, m2: jagged }))
+  },
+  threshold: {
+    params: [{ name: "value", type: "integer", min: 0, max: 255, default: 128 }],
+    apply: (image, { value }) => mapLevels(image, (level) => (level >= value ? 255 : 0))
+  },
+  // draws a PNG, e.g. a frame with transparent center, stretched over the
+  // whole image
+  frame: {
+    params: [{ name: "file", type: "string" }],
+    apply: async (image, { file }) => {
+      const frame = await sharp(file)
+        .resize(image.info.width, image.info.height, { fit: "fill" })
+        .png()
+        .toBuffer();
+      return pipe(image, (s) => s.composite([{ input: frame }]), true);
+    }
+  }
+};
+
+// Runs a sharp operation on raw pixels and returns the resulting raw pixels
+async function pipe({ data, info }, operation, flatten = false) {
+  let image = operation(
+    sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+  );
+  if (flatten) {
+    image = sharp(await image.png().toBuffer()).flatten({ background: WHITE });
+  }
+  return toRawAsync(image);
+}
+
+function toRawAsync(image) {
+  return image.raw().toBuffer({ resolveWithObject: true });
+}
+
+// Maps every level of every channel, clamped to 0-255
+function mapLevels({ data, info }, map) {
+  const table = Buffer.alloc(256);
+  for (let level = 0; level < 256; level++) {
+    table[level] = Math.max(0, Math.min(255, Math.round(map(level))));
+  }
+  const mapped = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    mapped[i] = table[data[i]];
+  }
+  return { data: mapped, info };
+}
+
+function equalize({ data, info }) {
+  const { channels } = info;
+  const mapped = Buffer.alloc(data.length);
+  for (let channel = 0; channel < channels; channel++) {
+    const histogram = new Array(256).fill(0);
+    for (let i = channel; i < data.length; i += channels) {
+      histogram[data[i]]++;
+    }
+    const total = data.length / channels;
+    let cumulative = 0;
+    const firstCount = histogram.find((count) => count > 0) || 0;
+    const table = histogram.map((count) => {
+      cumulative += count;
+      return total === firstCount
+        ? 0
+        : Math.round(((cumulative - firstCount) * 255) / (total - firstCount));
+    });
+    for (let i = channel; i < data.length; i += channels) {
+      mapped[i] = table[data[i]];
+    }
+  }
+  return { data: mapped, info };
+}
+
+function parseParamValue(param, rawValue) {
+  switch (param.type) {
+    case "number":
+    case "integer":
+    case "percentage": {
+      const value = Number(param.type === "percentage" ? rawValue.replace(/%$/, "") : rawValue);
+      if (rawValue === "" || isNaN(value)) {
+        return { error: `expected a number, got ${JSON.stringify(rawValue)}` };
+      }
+      if (param.type === "integer" && !Number.isInteger(value)) {
+        return { error: `expected an integer, got ${JSON.stringify(rawValue)}` };
+      }
+      const [min, max] = param.type === "percentage" ? [0, 100] : [param.min, param.max];
+      if (min !== undefined && value < min) {
+        return { error: `must be at least ${min}, got ${value}` };
+      }
+      if (max !== undefined && value > max) {
+        return { error: `must be at most ${max}, got ${value}` };
+      }
+      return { value };
+    }
+    case "color":
+      return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(rawValue) || /^[a-z]+$/i.test(rawValue)
+        ? { value: rawValue }
+        : { error: `expected a color like "#000000", got ${JSON.stringify(rawValue)}` };
+    default:
+      return rawValue === ""
+        ? { error: "must not be empty" }
+        : { value: rawValue };
+  }
+}
+
+// Parses a filter like `levels(10%, white=90%)` into `{ name, params }`.
+// Returns `{ filter }` or `{ error }`.
+function parseFilter(value) {
+  const match = String(value).trim().match(/^([A-Za-z]+)\s*(?:\((.*)\))?$/s);
+  const definition = match && FILTERS[match[1]];
+  if (!definition) {
+    return {
+      error: `unknown filter ${JSON.stringify(value)}, expected one of ${Object.keys(FILTERS).join(", ")}`
+    };
+  }
+  const name = match[1];
+  const args = match[2] === undefined || match[2].trim() === ""
+    ? []
+    : match[2].split(",").map((arg) => arg.trim());
+
+  const rawValues = {};
+  for (const [i, arg] of args.entries()) {
+    const named = arg.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+    const param = named
+      ? definition.params.find((candidate) => candidate.name === named[1])
+      : definition.params[i];
+    if (!param) {
+      return {
+        error: named
+          ? `${name}: unknown parameter ${named[1]}`
+          : `${name}: expected at most ${definition.params.length} parameter(s)`
+      };
+    }
+    rawValues[param.name] = named ? named[2] : arg;
+  }
+
+  const params = {};
+  for (const param of definition.params) {
+    if (rawValues[param.name] === undefined) {
+      if (param.default === undefined) {
+        return { error: `${name}: ${param.name} is required` };
+      }
+      params[param.name] = param.default;
+      continue;
+    }
+    const { value, error } = parseParamValue(param, rawValues[param.name]);
+    if (error) {
+      return { error: `${name}: ${param.name} ${error}` };
+    }
+    params[param.name] = value;
+  }
+  return { filter: { name, params } };
+}
+
+// For the `filters` setting, returns an error message if a filter is invalid
+function validateFilters(filters) {
+  for (const filter of filters) {
+    const { error } = parseFilter(filter);
+    if (error) return error;
+  }
+  return false;
+}
+
+// The page's filters, or the chain of the legacy settings in the order they
+// were always applied in
+function getFilterChain(pageConfig) {
+  if (pageConfig.filters && pageConfig.filters.length > 0) {
+    return pageConfig.filters.map((filter) => parseFilter(filter).filter);
+  }
+  const chain = [];
+  if (pageConfig.removeGamma) {
+    chain.push({ name: "gamma", params: { value: 1 / 2.2 } });
+  }
+  const rotation = Number(pageConfig.rotation);
+  if (rotation !== 0) {
+    chain.push({ name: "rotate", params: { angle: rotation } });
+  }
+  if (pageConfig.colorMode === "GrayScale" || pageConfig.colorMode === "Grayscale") {
+    chain.push({ name: "grayscale", params: {} });
+  }
+  if (pageConfig.saturation !== 1) {
+    chain.push({ name: "saturation", params: { value: pageConfig.saturation } });
+  }
+  if (pageConfig.contrast !== 1) {
+    chain.push({ name: "contrast", params: { value: pageConfig.contrast } });
+  }
+  const black = parseFloat(pageConfig.blackLevel);
+  const white = parseFloat(pageConfig.whiteLevel);
+  if (black > 0 || white < 100) {
+    chain.push({ name: "levels", params: { black, white } });
+  }
+  return chain;
+}
+
+// Applies the page's filters to an image file or buffer and returns the raw
+// pixels, grayscale with one channel unless the page uses colors
+async function applyFiltersAsync(pageConfig, input, chain = getFilterChain(pageConfig)) {
+  let image = await toRawAsync(sharp(input).flatten({ background: WHITE }));
+  for (const { name, params } of chain) {
+    image = await FILTERS[name].apply(image, params);
+  }
+
+  // Raw framebuffer dumps are always grayscale
+  const isGrayscale =
+    pageConfig.colorMode === "GrayScale" ||
+    pageConfig.colorMode === "Grayscale" ||
+    pageConfig.imageFormat === "raw";
+
+  return toRawAsync(
+    sharp(image.data, {
+      raw: { width: image.info.width, height: image.info.height, channels: image.info.channels }
+    }).toColorspace(isGrayscale ? "b-w" : "srgb")
+  );
+}
+
+module.exports = {
+  FILTERS,
+  parseFilter,
+  validateFilters,
+  getFilterChain,
+  applyFiltersAsync
+};
@@ -0,0 +1,198 @@
+// Authentication against Home Assistant, either with a long-lived access
+// token or by logging in through HA's auth flow with a username and password
+// or as a trusted network user, see
+// https://developers.home-assistant.io/docs/auth_api
+const http = require("http");
+const https = require("https");
+
+// refresh access tokens a bit before they expire
+const EXPIRY_MARGIN = 60 * 1000;
+
+// HA's login page, shown if the browser has no valid tokens
+const LOGIN_PAGE_SELECTOR = "ha-authorize";
+
+function isLoginPageUrl(url) {
+  return /\/auth\/(authorize|login_flow)/.test(url || "");
+}
+
+// Whether the tab shows HA's login page instead of a dashboard
+async function isLoginPageAsync(page) {
+  return isLoginPageUrl(page.url()) || (await page.$(LOGIN_PAGE_SELECTOR)) !== null;
+}
+
+// Sends a request to Home Assistant and resolves with the parsed JSON response
+function requestAsync(url, { method = "GET", body, form, headers = {}, rejectUnauthorized = true } = {}) {
+  const data = form
+    ? new URLSearchParams(form).toString()
+    : body !== undefined
+      ? JSON.stringify(body)
+      : null;
+  const options = {
+    method,
+    headers: data === null ? headers : {
+      ...headers,
+      "Content-Type": form ? "application/x-www-form-urlencoded" : "application/json",
+      "Content-Length": Buffer.byteLength(data)
+    },
+    rejectUnauthorized
+  };
+  const httpLib = url.toLowerCase().startsWith("https") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = httpLib.request(url, options, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch {}
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const message = (json && (json.error_description || json.message || json.error)) || text;
+          const error = new Error(`${method} ${url} failed with ${res.statusCode}: ${message}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+          return;
+        }
+        resolve(json);
+      });
+    });
+    req.setTimeout(30000, () => req.destroy(new Error(`${method} ${url} timed out`)));
+    req.on("error", reject);
+    if (data !== null) req.write(data);
+    req.end();
+  });
+}
+
+// Returns an object with `getTokensAsync()`, which returns tokens in the
+// format HA's frontend keeps in localStorage as `hassTokens`, and
+// `invalidate()` to force logging in again, e.g. after the frontend showed
+// the login page.
+function createHaAuth({
+  baseUrl,
+  accessToken,
+  username,
+  password,
+  trustedNetworkUser,
+  rejectUnauthorized = true
+}) {
+  // HA accepts any URL as client id, the frontend uses its own origin
+  const clientId = new URL("/", baseUrl).toString();
+  const usesLoginFlow = !accessToken && (username || trustedNetworkUser);
+  let tokens = null;
+  let pending = null;
+
+  const request = (path, options) =>
+    requestAsync(new URL(path, baseUrl).toString(), { ...options, rejectUnauthorized });
+
+  const toHassTokens = (token) => ({
+    hassUrl: baseUrl,
+    clientId,
+    access_token: token.access_token,
+    refresh_token: token.refresh_token || (tokens && tokens.refresh_token),
+    token_type: "Bearer",
+    expires_in: token.expires_in,
+    expires: Date.now() + token.expires_in * 1000
+  });
+
+  const loginAsync = async () => {
+    const handler = username ? ["homeassistant", null] : ["trusted_networks", null];
+    let step = await request("/auth/login_flow", {
+      method: "POST",
+      body: { client_id: clientId, handler, redirect_uri: clientId }
+    });
+
+    let input;
+    if (username) {
+      input = { username, password };
+    } else {
+      // the user can be given by its id or name. The choices are serialized
+      // as [id, name] pairs, older versions used an object by id.
+      const userSchema = (step.data_schema || []).find((field) => field.name === "user");
+      const options = (userSchema && userSchema.options) || [];
+      const users = Array.isArray(options) ? options : Object.entries(options);
+      const user = users.find(([id, name]) => id === trustedNetworkUser || name === trustedNetworkUser);
+      if (!user) {
+        throw new Error(`Trusted network user ${trustedNetworkUser} is not available`);
+      }
+      input = { user: user[0] };
+    }
+
+    step = await request(`/auth/login_flow/${step.flow_id}`, {
+      method: "POST",
+      body: { client_id: clientId, ...input }
+    });
+    if (step.type !== "create_entry") {
+      const reason = (step.errors && Object.values(step.errors).join(", ")) || step.step_id || step.type;
+      throw new Error(`Login failed: ${reason}`);
+    }
+
+    return toHassTokens(
+      await request("/auth/token", {
+        method: "POST",
+        form: { grant_type: "authorization_code", code: step.result, client_id: clientId }
+      })
+    );
+  };
+
+  const refreshAsync = async () => {
+    try {
+      return toHassTokens(
+        await request("/auth/token", {
+          method: "POST",
+          form: {
+            grant_type: "refresh_token",
+            refresh_token: tokens.refresh_token,
+            client_id: clientId
+          }
+        })
+      );
+    } catch (e) {
+      // the refresh token was revoked, so log in again
+      if (e.statusCode !== 400 && e.statusCode !== 403) throw e;
+      console.log("Refresh token was rejected, logging in again...");
+      tokens = null;
+      return loginAsync();
+    }
+  };
+
+  const auth = {
+    usesLoginFlow,
+
+    async getTokensAsync() {
+      if (!usesLoginFlow) {
+        return { hassUrl: baseUrl, access_token: accessToken, token_type: "Bearer" };
+      }
+      if (tokens && tokens.expires - EXPIRY_MARGIN > Date.now()) {
+        return tokens;
+      }
+      // concurrent callers share one login
+      if (!pending) {
+        pending = (tokens && tokens.refresh_token ? refreshAsync() : loginAsync())
+          .then((newTokens) => (tokens = newTokens))
+          .finally(() => (pending = null));
+      }
+      return pending;
+    },
+
+    async getAccessTokenAsync() {
+      return (await auth.getTokensAsync()).access_token;
+    },
+
+    invalidate() {
+      if (tokens) {
+        tokens.expires = 0;
+      }
+    }
+  };
+  return auth;
+}
+
+module.exports = {
+  LOGIN_PAGE_SELECTOR,
+  isLoginPageUrl,
+  isLoginPageAsync,
+  requestAsync,
+  createHaAuth
+};
@@ -0,0 +1,115 @@
+// Long-lived connection to the Home Assistant websocket API which reports
+// state changes of the given entities, see
+// https://developers.home-assistant.io/docs/api/websocket
+const WebSocket = require("ws");
+
+const MAX_RECONNECT_DELAY = 60000;
+
+function getWebsocketUrl(baseUrl) {
+  const url = new URL("/api/websocket", baseUrl);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+}
+
+// Calls `onStateChanged(entityId, newState, oldState)` whenever the state of
+// one of `entityIds` changes. Reconnects with an increasing delay whenever
+// the connection is lost. Returns an object with a `close()` method.
+// `accessToken` may be a function returning the current token, as tokens
+// from the login flow expire.
+function subscribeToStateChanges({
+  url,
+  accessToken,
+  entityIds,
+  onStateChanged,
+  rejectUnauthorized = true
+}) {
+  const watchedEntities = new Set(entityIds);
+  let socket = null;
+  let closed = false;
+  let reconnectDelay = 1000;
+  let reconnectTimer = null;
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    console.log(`Reconnecting to Home Assistant websocket in ${reconnectDelay / 1000}s...`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  };
+
+  const connect = () => {
+    socket = new WebSocket(url, { rejectUnauthorized });
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    socket.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      switch (message.type) {
+        case "auth_required":
+          Promise.resolve(typeof accessToken === "function" ? accessToken() : accessToken)
+            .then((token) => send({ type: "auth", access_token: token }))
+            .catch((e) => {
+              console.error(`Could not get an access token for the websocket: ${e.message}`);
+              socket.close();
+            });
+          break;
+        case "auth_ok":
+          console.log(`Connected to Home Assistant websocket at ${url}`);
+          reconnectDelay = 1000;
+          send({ id: 1, type: "subscribe_events", event_type: "state_changed" });
+          break;
+        case "auth_invalid":
+          console.error(`Home Assistant websocket authentication failed: ${message.message}`);
+          socket.close();
+          break;
+        case "result":
+          if (!message.success) {
+            console.error(
+              `Home Assistant websocket subscription failed: ${message.error && message.error.message}`
+            );
+          }
+          break;
+        case "event": {
+          const data = message.event && message.event.data;
+          if (!data || !watchedEntities.has(data.entity_id)) return;
+          const oldState = data.old_state && data.old_state.state;
+          const newState = data.new_state && data.new_state.state;
+          if (oldState !== newState) {
+            onStateChanged(data.entity_id, newState, oldState);
+          }
+          break;
+        }
+      }
+    });
+
+    socket.on("error", (e) => {
+      console.error(`Home Assistant websocket error: ${e.message}`);
+    });
+
+    socket.on("close", () => {
+      socket = null;
+      scheduleReconnect();
+    });
+  };
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    }
+  };
+}
+
+module.exports = {
+  getWebsocketUrl,
+  subscribeToStateChanges
+};
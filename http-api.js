@@ -0,0 +1,124 @@
+// Authenticated API for automations, which renders pages right away instead
+// of waiting for the cronjob and replaces a page's image with an uploaded
+// one, e.g. a camera snapshot. Requests need `Authorization: Bearer
+// <API_TOKEN>`, the API is off if no token is set.
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+
+const FIT_MODES = ["contain", "cover", "fill"];
+
+// 401 or 403 with an error message, or null if the request may use the API
+function checkAuthorization(request, apiToken) {
+  if (!apiToken) {
+    return { statusCode: 403, error: "The API is disabled, set API_TOKEN to enable it" };
+  }
+  const match = (request.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  const expected = crypto.createHash("sha256").update(apiToken).digest();
+  const given = crypto.createHash("sha256").update(match ? match[1].trim() : "").digest();
+  // hashed to compare values of any length in constant time
+  if (!match || !crypto.timingSafeEqual(expected, given)) {
+    return { statusCode: 401, error: "Missing or invalid API token" };
+  }
+  return null;
+}
+
+// Page numbers (1-based) or names to page indices, all pages if none are
+// given. Returns `{ pageIndices }` or `{ error }`.
+function parsePageReferences(references, pages) {
+  if (references.length === 0) {
+    return { pageIndices: pages.map((_, i) => i) };
+  }
+  const pageIndices = [];
+  for (const reference of references) {
+    const value = String(reference).trim();
+    const pageIndex = /^\d+$/.test(value)
+      ? parseInt(value) - 1
+      : pages.findIndex((pageConfig) => pageConfig.name === value);
+    if (pageIndex < 0 || pageIndex >= pages.length) {
+      return { error: `Unknown page ${JSON.stringify(reference)}` };
+    }
+    pageIndices.push(pageIndex);
+  }
+  return { pageIndices: [...new Set(pageIndices)] };
+}
+
+// Body of POST /api/render: `{ "pages": [1, "kitchen"], "wait": true }`,
+// both optional. The query may give `pages=1,kitchen` and `wait=1` instead.
+function parseRenderApiRequest(url, body, pages) {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Expected an object" };
+  }
+  let references = [];
+  if (body.pages !== undefined) {
+    if (!Array.isArray(body.pages) && typeof body.pages !== "number" && typeof body.pages !== "string") {
+      return { error: "pages: expected a list of page numbers or names" };
+    }
+    references = [].concat(body.pages);
+  } else if (url.searchParams.has("pages")) {
+    references = url.searchParams.get("pages").split(",").filter((page) => page.trim() !== "");
+  }
+  const { pageIndices, error } = parsePageReferences(references, pages);
+  if (error) {
+    return { error };
+  }
+  const wait = body.wait !== undefined ? body.wait : isTrue(url.searchParams.get("wait"));
+  if (typeof wait !== "boolean") {
+    return { error: "wait: expected true or false" };
+  }
+  return { pageIndices, wait };
+}
+
+// Query of POST /api/pages/<n>/image: `fit` as in sharp's resize and `hold`,
+// the number of seconds the image is kept before pages are rendered again
+function parseUploadOptions(url) {
+  const fit = url.searchParams.get("fit") || "contain";
+  if (!FIT_MODES.includes(fit)) {
+    return { error: `fit: expected one of ${FIT_MODES.join(", ")}` };
+  }
+  const hold = url.searchParams.has("hold") ? Number(url.searchParams.get("hold")) : 0;
+  if (!Number.isInteger(hold) || hold < 0) {
+    return { error: "hold: expected a number of seconds" };
+  }
+  return { fit, hold };
+}
+
+function isTrue(value) {
+  return value === "1" || value === "true";
+}
+
+// Scales an uploaded image to the size of the page's screenshots, so it goes
+// through the page's filters like one. Returns a lossless PNG.
+function fitUploadedImageAsync(data, { width, height }, fit) {
+  return sharp(data)
+    .rotate()
+    .resize(width, height, { fit, background: "#ffffff" })
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+}
+
+// Result of a page's render as returned by the API. Pages whose render
+// didn't finish in time are "pending".
+function getRenderResult(pageIndex, pageConfig, status, finished) {
+  return {
+    page: pageIndex + 1,
+    name: pageConfig.name || null,
+    status: !finished ? "pending" : status.lastError ? "failed" : "ok",
+    error: finished ? status.lastErrorReason : null,
+    detail: finished ? status.lastErrorDetail : null,
+    // in seconds
+    duration: finished ? status.lastDuration : null,
+    lastSuccess: status.lastSuccess
+  };
+}
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  checkAuthorization,
+  parsePageReferences,
+  parseRenderApiRequest,
+  parseUploadOptions,
+  fitUploadedImageAsync,
+  getRenderResult
+};
@@ -0,0 +1,67 @@
+// Change detection for rendered images and conditional HTTP requests, so
+// clients can skip downloading (and redrawing) images which didn't change
+const crypto = require("crypto");
+
+function hashContent(...parts) {
+  const hash = crypto.createHash("sha1");
+  for (const part of parts) {
+    hash.update(typeof part === "string" || Buffer.isBuffer(part) ? part : JSON.stringify(part));
+  }
+  return hash.digest("base64url");
+}
+
+function createETag(data) {
+  return `"${hashContent(data)}"`;
+}
+
+// Implements If-None-Match and If-Modified-Since as described in RFC 9110,
+// where If-Modified-Since is ignored if If-None-Match is present
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers["if-none-match"];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === "*") return true;
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .includes(etag);
+  }
+
+  const ifModifiedSince = Date.parse(request.headers["if-modified-since"]);
+  if (!isNaN(ifModifiedSince) && lastModified) {
+    // HTTP dates only have a precision of seconds
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+}
+
+// Sends the image or a 304 if the client already has the current version
+function sendImage(request, response, data, { contentType, lastModified, headers }) {
+  const etag = createETag(data);
+  const cacheHeaders = {
+    ETag: etag,
+    "Last-Modified": lastModified.toUTCString(),
+    "Cache-Control": "no-cache",
+    ...headers
+  };
+
+  if (isNotModified(request, etag, lastModified)) {
+    response.writeHead(304, cacheHeaders);
+    response.end();
+    return false;
+  }
+
+  response.writeHead(200, {
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(data),
+    ...cacheHeaders
+  });
+  response.end(data);
+  return true;
+}
+
+module.exports = {
+  hashContent,
+  createETag,
+  isNotModified,
+  sendImage
+};
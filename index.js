@@ -1,12 +1,96 @@
 const config = require("./config");
 const path = require("path");
+const os = require("os");
 const http = require("http");
 const https = require("https");
+const { EventEmitter } = require("events");
+const { pathToFileURL } = require("url");
 const { promises: fs } = require("fs");
 const fsExtra = require("fs-extra");
 const puppeteer = require("puppeteer");
 const { CronJob } = require("cron");
 const sharp = require("sharp");
+const {
+  quantizeAndEncodeImageAsync,
+  getImageMimeType
+} = require("./encoders");
+const { applyFiltersAsync } = require("./filters");
+const { hashContent, sendImage } = require("./http-cache");
+const {
+  isInQuietHours,
+  groupPagesBySchedule,
+  getCronInterval
+} = require("./schedule");
+const { isOverlayEnabled, applyOverlayAsync } = require("./overlay");
+const {
+  toRenderError,
+  createAuthError,
+  describeRenderError
+} = require("./render-errors");
+const {
+  LOGIN_PAGE_SELECTOR,
+  isLoginPageAsync,
+  requestAsync,
+  createHaAuth
+} = require("./ha-auth");
+const { createFallbackImageAsync } = require("./fallback");
+const { createMetricsRegistry } = require("./metrics");
+const { captureElementsAsync, composeCapturesAsync } = require("./capture");
+const { waitUntilReadyAsync, formatReadiness } = require("./readiness");
+const { createTabPool, withTimeoutAsync } = require("./tab-pool");
+const { getServerUrl, createClientScript } = require("./client-script");
+const { getDeviceDirectives, getDirectiveHeaders } = require("./directives");
+const { getWebsocketUrl, subscribeToStateChanges } = require("./ha-websocket");
+const { createMqttPublisher } = require("./mqtt-discovery");
+const { renderTemplatePageAsync } = require("./templates");
+const { getRemoteAddress, getClientIp, createAccessControl } = require("./access-control");
+const {
+  HISTORY_VARIANTS,
+  isHistoryEnabled,
+  createRenderHistory,
+  createDiffImageAsync
+} = require("./render-history");
+const {
+  MAX_IMAGE_SIZE,
+  checkAuthorization,
+  parsePageReferences,
+  parseRenderApiRequest,
+  parseUploadOptions,
+  fitUploadedImageAsync,
+  getRenderResult
+} = require("./http-api");
+const {
+  isEntryActiveAsync,
+  getNextPosition,
+  applyPlaylistDirectives
+} = require("./playlists");
+const {
+  isExternalPage,
+  usesHaInstance,
+  getPageSource,
+  getPageUrl,
+  getInstanceKey,
+  getInstanceCredentials
+} = require("./page-sources");
+const {
+  parseTunedSettings,
+  pickTunedSettings,
+  createTunedSettingsStore,
+  readBodyAsync,
+  readJsonBodyAsync,
+  checkAdminWriteRequest,
+  createAdminPage
+} = require("./admin");
+const {
+  getDeviceId,
+  isValidDeviceId,
+  createDeviceRegistry
+} = require("./device-registry");
+const {
+  parseRenderRequest,
+  createLimiter,
+  createRenderCache
+} = require("./on-demand");
 
 // Config directory for additional files that Kindle can download
 const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, "kindle-config");
@@ -14,12 +98,188 @@ const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, "kindle-config
 // keep state of current battery level and whether the device is charging
 const batteryStore = {};
 
+// persistent state of every device which fetched an image
+const deviceRegistry = createDeviceRegistry(config.deviceRegistryFile);
+
+// hash of the last screenshot and page config per page, so unchanged
+// dashboards don't need to be converted again
+const screenshotHashes = {};
+
+// last successful screenshot per page, which the admin UI's preview converts
+// instead of rendering the page again
+const lastScreenshots = {};
+
+// conversion settings saved in the admin UI and the configured ones they
+// replace, so they can be reset
+const tunedSettings = createTunedSettingsStore(config.tunedSettingsFile);
+const configuredSettings = config.pages.map(pickTunedSettings);
+
+// result of the last render per page, used to detect stale images
+const renderStatus = {};
+
+// when the server started, pages which never rendered count from there
+const startedAt = new Date();
+
+// Prometheus metrics served at /metrics
+const metrics = createMetricsRegistry();
+const renderDuration = metrics.histogram(
+  "kindle_screensaver_render_duration_seconds",
+  "Time it took to render a page in the browser"
+);
+const onDemandRenderDuration = metrics.histogram(
+  "kindle_screensaver_on_demand_render_duration_seconds",
+  "Time it took to render and convert an image requested at /render"
+);
+const conversionDuration = metrics.histogram(
+  "kindle_screensaver_conversion_duration_seconds",
+  "Time it took to convert a rendered page to the device's image format",
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+const browserLaunches = metrics.counter(
+  "kindle_screensaver_browser_launches_total",
+  "Number of times the browser was (re)launched"
+);
+const imageRequests = metrics.counter(
+  "kindle_screensaver_image_requests_total",
+  "Number of image requests per page and response status"
+);
+const imageBytesServed = metrics.counter(
+  "kindle_screensaver_image_bytes_served_total",
+  "Number of image bytes sent per page"
+);
+const deniedRequests = metrics.counter(
+  "kindle_screensaver_denied_requests_total",
+  "Number of requests denied by access control per reason"
+);
+
+// values which are only read when scraped
+const browserUp = metrics.gauge(
+  "kindle_screensaver_browser_up",
+  "Whether the browser is running and responsive"
+);
+const lastSuccessfulRender = metrics.gauge(
+  "kindle_screensaver_last_successful_render_timestamp_seconds",
+  "Time of the last successful render per page"
+);
+const consecutiveFailures = metrics.gauge(
+  "kindle_screensaver_render_consecutive_failures",
+  "Number of failed renders per page since the last successful one"
+);
+const batteryLevelGauge = metrics.gauge(
+  "kindle_screensaver_battery_level_percent",
+  "Last battery level reported per device"
+);
+const batteryChargingGauge = metrics.gauge(
+  "kindle_screensaver_battery_charging",
+  "Whether the device was charging when it last reported its battery level"
+);
+const deviceLastSeen = metrics.gauge(
+  "kindle_screensaver_device_last_seen_timestamp_seconds",
+  "Time of the last image request per device"
+);
+metrics.addCollector(async () => {
+  browserUp.set({}, (await getBrowserStateAsync()) === "running" ? 1 : 0);
+  config.pages.forEach((_, pageIndex) => {
+    const status = getRenderStatus(pageIndex);
+    if (status.lastSuccess) {
+      lastSuccessfulRender.set({ page: pageIndex + 1 }, status.lastSuccess / 1000);
+    }
+    consecutiveFailures.set({ page: pageIndex + 1 }, status.consecutiveFailures);
+  });
+  for (const gauge of [batteryLevelGauge, batteryChargingGauge, deviceLastSeen]) {
+    gauge.reset();
+  }
+  for (const device of deviceRegistry.list()) {
+    deviceLastSeen.set({ device: device.id }, Date.parse(device.lastSeen) / 1000);
+    if (device.batteryLevel !== null) {
+      batteryLevelGauge.set({ device: device.id }, device.batteryLevel);
+    }
+    if (device.isCharging !== null) {
+      batteryChargingGauge.set({ device: device.id }, device.isCharging ? 1 : 0);
+    }
+  }
+});
+
+// overlays drawn onto served images per page, see getServedImageAsync
+const overlayCache = {};
+
+// pages which are currently being rendered and pages which need to be
+// rendered again once that's done, e.g. because an entity changed meanwhile
+const renderingPages = new Set();
+const pendingPages = new Set();
+
+// emits "rendered" with the page index and the time its render started
+// whenever a render finished, successful or not
+const renderEvents = new EventEmitter();
+renderEvents.setMaxListeners(0);
+
+// pages showing an uploaded image until the given date, see
+// handleImageUploadAsync
+const heldPages = {};
+
+const accessControl = createAccessControl(config);
+
+// past renders of the pages which keep them
+const renderHistories = config.pages.map((pageConfig, pageIndex) =>
+  isHistoryEnabled(pageConfig)
+    ? createRenderHistory(path.join(config.historyDir, `page-${pageIndex + 1}`), pageConfig)
+    : null
+);
+
+// on-demand renders share the browser with the cronjob, so limit how many
+// tabs they may open at once and reuse recent results
+const runOnDemandRender = createLimiter(config.renderConcurrency);
+// scheduled renders of different pages run in parallel, each in its own tab
+const runPageRender = createLimiter(config.pageConcurrency);
+const tabPool = createTabPool();
+const getOrRenderOnDemand = createRenderCache(
+  config.renderCacheTtl,
+  config.renderCacheSize
+);
+
 const CHROME_USER_DATA_DIR = path.join("/tmp", "chrome-profile");
 
 // Persistent browser instance reused across cron ticks
 let persistentBrowser = null;
+// Pending launch, so concurrent renders don't start several browsers
+let browserLaunch = null;
+// Connection to the MQTT broker, if configured
+let mqttPublisher = null;
+// Home Assistant instances of the pages, each with its own login. Pages
+// rendered from other URLs may still use one for triggers and webhooks.
+const haInstances = new Map();
+for (const pageConfig of [
+  ...config.pages.filter(usesHaInstance),
+  ...config.pages.filter((pageConfig) => !usesHaInstance(pageConfig))
+]) {
+  const key = getInstanceKey(pageConfig);
+  if (!pageConfig.baseUrl || haInstances.has(key)) {
+    continue;
+  }
+  haInstances.set(key, {
+    baseUrl: pageConfig.baseUrl,
+    auth: createHaAuth({
+      baseUrl: pageConfig.baseUrl,
+      ...getInstanceCredentials(pageConfig),
+      rejectUnauthorized: !config.ignoreCertificateErrors
+    }),
+    // whether the browser needs to be logged in to render its dashboards
+    rendersPages: config.pages.some(
+      (other) => !isExternalPage(other) && getInstanceKey(other) === key
+    ),
+    // pending login after the browser was logged out, see reauthenticateAsync
+    reauthentication: null
+  });
+}
+
+function getHaInstance(pageConfig) {
+  return haInstances.get(getInstanceKey(pageConfig));
+}
 
 async function getOrLaunchBrowser() {
+  if (browserLaunch) {
+    return browserLaunch;
+  }
   if (persistentBrowser) {
     try {
       await persistentBrowser.version();
@@ -30,7 +290,13 @@ async function getOrLaunchBrowser() {
       persistentBrowser = null;
     }
   }
-  persistentBrowser = await launchBrowserAndLogin();
+  browserLaunch = launchBrowserAndLogin();
+  browserLaunches.inc();
+  try {
+    persistentBrowser = await browserLaunch;
+  } finally {
+    browserLaunch = null;
+  }
   return persistentBrowser;
 }
 
@@ -43,6 +309,12 @@ async function killBrowser(browser) {
 }
 
 (async () => {
+  if (config.errors.length > 0) {
+    for (const error of config.errors) {
+      console.error(`Invalid configuration: ${error}`);
+    }
+    return console.error("Please check your configuration");
+  }
   if (config.pages.length === 0) {
     return console.error("Please check your configuration");
   }
@@ -55,6 +327,16 @@ async function killBrowser(browser) {
     }
   }
 
+  await deviceRegistry.load();
+  await tunedSettings.load();
+  applyTunedSettings();
+  for (const history of renderHistories.filter((history) => history)) {
+    await history.load();
+  }
+  if (config.mqttUrl) {
+    startMqttPublisher();
+  }
+
   if (config.debug) {
     console.log(
       "Debug mode active, will only render once in non-headless model and keep page open"
@@ -63,38 +345,197 @@ async function killBrowser(browser) {
     renderAndConvertAsync(browser);
   } else {
     console.log("Starting first render...");
-    await renderAndConvertAsync();
-    console.log("Starting rendering cronjob...");
-    new CronJob(
-      String(config.cronJob),
-      () => renderAndConvertAsync(),
-      null,
-      true
-    );
+    // render everything once, even during quiet hours, so there's an image
+    // to serve right from the start
+    await renderPagesAsync(config.pages.map((_, i) => i), "startup", {
+      ignoreQuietHours: true
+    });
+    for (const [cronJob, pageIndices] of groupPagesBySchedule(config.pages)) {
+      console.log(
+        `Starting rendering cronjob ${cronJob} for page(s) ${pageIndices.map((i) => i + 1).join(", ")}...`
+      );
+      new CronJob(
+        String(cronJob),
+        () => renderPagesAsync(pageIndices, `cronjob ${cronJob}`, { skipBusy: true }),
+        null,
+        true
+      );
+    }
+    startStateChangeTriggers();
   }
 
+  // a failing handler only fails its own request
   const httpServer = http.createServer(async (request, response) => {
-    // Parse the request
-    const url = new URL(request.url, `http://${request.headers.host}`);
-    const pathname = url.pathname;
-
-    // Handle config file requests
-    if (pathname.startsWith('/config/')) {
-      await handleConfigFileRequest(pathname, response);
-      return;
+    try {
+      await handleRequestAsync(request, response);
+    } catch (e) {
+      // without the query, which may contain a key
+      console.error(`Request ${request.method} ${request.url.split("?")[0]} failed: ${e.message}`);
+      if (!response.headersSent) {
+        response.writeHead(500, { "Content-Type": "text/plain" });
+        response.end("Internal server error");
+      } else {
+        response.destroy();
+      }
     }
-
-    // Handle image requests (existing functionality)
-    await handleImageRequest(url, request, response);
   });
 
   const port = config.port || 5000;
   httpServer.listen(port, () => {
     console.log(`Server is running at ${port}`);
     console.log(`Config files will be served from: ${CONFIG_DIR}`);
+    if (config.allowedIps.length > 0) {
+      console.log(`Only accepting requests from ${config.allowedIps.join(", ")}`);
+    }
+    if (config.deviceKeys.length > 0 || config.urlSigningSecret) {
+      console.log("Devices need a device key or a signed URL");
+    }
   });
 })();
 
+// Routes a request to its handler
+async function handleRequestAsync(request, response) {
+  // Parse the request
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const pathname = url.pathname;
+
+  // the supervisor's watchdog works from anywhere
+  if (pathname === '/healthz') {
+    await handleHealthRequest(response);
+    return;
+  }
+
+  const { denied } = accessControl.checkAddress(request);
+  if (denied) {
+    sendAccessDenied(url, request, response, denied);
+    return;
+  }
+
+  // includes device ids and battery levels, so it's limited by ALLOWED_IPS
+  if (pathname === '/metrics') {
+    await handleMetricsRequest(response);
+    return;
+  }
+
+  if (pathname === '/api/render' || pathname.startsWith('/api/pages/')) {
+    await handleApiRequest(url, request, response);
+    return;
+  }
+
+  // Home Assistant's ingress opens the add-on at its root
+  if (
+    config.adminUi &&
+    (pathname === '/admin' ||
+      pathname.startsWith('/admin/') ||
+      (pathname === '/' && request.headers['x-ingress-path'] !== undefined))
+  ) {
+    const { denied } = accessControl.checkAdmin(request);
+    if (denied) {
+      sendAccessDenied(url, request, response, denied);
+      return;
+    }
+    await handleAdminRequest(url, request, response);
+    return;
+  }
+
+  // everything else is fetched by devices
+  if (!authorizeDeviceRequest(url, request, response)) {
+    return;
+  }
+
+  if (pathname.startsWith('/config/client/')) {
+    handleClientScriptRequest(url, request, response);
+    return;
+  }
+
+  // Handle config file requests
+  if (pathname.startsWith('/config/')) {
+    await handleConfigFileRequest(pathname, response);
+    return;
+  }
+
+  if (pathname === '/api/devices' || pathname.startsWith('/api/devices/')) {
+    handleDevicesRequest(url, response);
+    return;
+  }
+
+  if (pathname === '/render') {
+    await handleRenderRequest(url, request, response);
+    return;
+  }
+
+  if (pathname.startsWith('/device/')) {
+    await handlePlaylistRequest(url, request, response);
+    return;
+  }
+
+  if (pathname === '/history' || pathname.startsWith('/history/')) {
+    await handleHistoryRequest(url, request, response);
+    return;
+  }
+
+  // Handle image requests (existing functionality)
+  await handleImageRequest(url, request, response);
+}
+
+// Devices need a key or a signed URL if configured. A key identifies its
+// device, which may only fetch what belongs to itself.
+function authorizeDeviceRequest(url, request, response) {
+  const { deviceId, denied } = accessControl.checkCredentials(url, request);
+  if (denied) {
+    sendAccessDenied(url, request, response, denied);
+    return false;
+  }
+  if (deviceId) {
+    const requestedDeviceId = getRequestedDeviceId(url, request);
+    if (requestedDeviceId === null) {
+      // recorded as the key's device instead of per page
+      url.searchParams.set("deviceId", deviceId);
+    } else if (requestedDeviceId !== deviceId) {
+      sendAccessDenied(url, request, response, {
+        statusCode: 403,
+        code: "device",
+        message: `The key of ${deviceId} was used for ${requestedDeviceId}`
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+// The device a request is for, given in its path or like in getDeviceId
+function getRequestedDeviceId(url, request) {
+  const match = url.pathname.match(
+    /^\/(?:device|config\/client|api\/devices)\/([^/]+?)(?:\.sh|\/directives)?$/
+  );
+  if (match) {
+    try {
+      return decodeURIComponent(match[1]);
+    } catch {
+      return match[1];
+    }
+  }
+  return url.searchParams.get("deviceId") || request.headers["x-device-id"] || null;
+}
+
+// Denied requests are logged for auditing, without the query as it may
+// contain a key
+function sendAccessDenied(url, request, response, { statusCode, code, message }) {
+  const forwardedFor = request.headers["x-forwarded-for"];
+  console.log(
+    `${new Date().toISOString()}: Denied ${request.method} ${url.pathname} from ` +
+      `${getRemoteAddress(request)}${forwardedFor ? ` (forwarded for ${forwardedFor})` : ""}: ${message}` +
+      ` (user agent: ${request.headers["user-agent"] || "none"})`
+  );
+  deniedRequests.inc({ reason: code });
+  if (url.pathname.startsWith('/api/')) {
+    sendJson(response, statusCode, { error: message });
+    return;
+  }
+  response.writeHead(statusCode, { "Content-Type": "text/plain" });
+  response.end(message);
+}
+
 // Handle config file requests with path traversal protection
 async function handleConfigFileRequest(pathname, response) {
   try {
@@ -120,6 +561,14 @@ async function handleConfigFileRequest(pathname, response) {
       return;
     }
 
+    // Never hand out the config file, it contains access tokens
+    if (config.configFile && fullPath === path.resolve(config.configFile)) {
+      console.log(`Blocked request for the config file: ${pathname}`);
+      response.writeHead(403);
+      response.end('Forbidden');
+      return;
+    }
+
     // Check if file exists and is a file (not directory)
     const stat = await fs.stat(fullPath);
     if (!stat.isFile()) {
@@ -159,14 +608,843 @@ async function handleConfigFileRequest(pathname, response) {
   }
 }
 
+// Page given by the `page` query parameter, defaulting to the one configured
+// for a device of that name or the one the device requested last. Devices
+// with a playlist default to the page of it they showed last. Returns null if
+// the page doesn't exist.
+function getDevicePageNumber(url, deviceId) {
+  const knownDevice = deviceRegistry.get(deviceId);
+  const lastPage = knownDevice && knownDevice.lastPage;
+  const playlist = config.playlists[deviceId];
+  const configuredPage = playlist
+    ? (playlist.some((entry) => entry.page === lastPage) ? lastPage : playlist[0].page)
+    : config.pages.findIndex((pageConfig) => pageConfig.device === deviceId) + 1;
+  const pageNumber = url.searchParams.has("page")
+    ? parseInt(url.searchParams.get("page"))
+    : configuredPage || lastPage || 1;
+  if (!isFinite(pageNumber) || pageNumber < 1 || pageNumber > config.pages.length) {
+    return null;
+  }
+  return pageNumber;
+}
+
+// Generate the client script for a device, see client-script.js
+function handleClientScriptRequest(url, request, response) {
+  const match = url.pathname.match(/^\/config\/client\/([^/]+)\.sh$/);
+  const deviceId = match && decodePathSegment(match[1]);
+  if (match && deviceId === null) {
+    response.writeHead(400);
+    response.end("Invalid device id");
+    return;
+  }
+  if (!deviceId || !isValidDeviceId(deviceId)) {
+    response.writeHead(404);
+    response.end("Not found");
+    return;
+  }
+
+  const pageNumber = getDevicePageNumber(url, deviceId);
+  if (pageNumber === null) {
+    response.writeHead(400);
+    response.end(`Invalid page: ${url.searchParams.get("page")}`);
+    return;
+  }
+  const pageConfig = config.pages[pageNumber - 1];
+  // devices with a playlist fetch it instead of a single page
+  const playlist = url.searchParams.has("page") ? null : config.playlists[deviceId];
+
+  // refresh as often as the page is rendered, unless given
+  const interval = url.searchParams.has("interval")
+    ? parseInt(url.searchParams.get("interval"))
+    : Math.max(60, Math.round(getCronInterval(pageConfig.cronJob) / 1000));
+  if (!isFinite(interval) || interval < 10) {
+    response.writeHead(400);
+    response.end(`Invalid interval: ${url.searchParams.get("interval")}`);
+    return;
+  }
+
+  const script = createClientScript({
+    serverUrl: getServerUrl(request),
+    deviceId,
+    imagePath: playlist ? `/device/${deviceId}` : `/${pageNumber}`,
+    interval,
+    imageFormat: pageConfig.imageFormat,
+    apiKey: accessControl.getDeviceKey(deviceId),
+    rtcWake: ["1", "true", "yes"].includes(url.searchParams.get("rtcWake"))
+  });
+  console.log(
+    `${new Date().toISOString()}: Client script for ${deviceId} (${playlist ? "playlist" : `page ${pageNumber}`}) was generated`
+  );
+  response.writeHead(200, {
+    "Content-Type": "text/x-shellscript; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${deviceId}.sh"`,
+    "Content-Length": Buffer.byteLength(script),
+    "Cache-Control": "no-cache"
+  });
+  response.end(script);
+}
+
+// Render a dashboard with the size, rotation and format given in the query
+async function handleRenderRequest(url, request, response) {
+  const { pageConfig, cacheKey, error } = parseRenderRequest(url, config.pages);
+  if (error) {
+    console.log(`Invalid render request: ${url.search} (${error})`);
+    response.writeHead(400);
+    response.end(error);
+    return;
+  }
+
+  try {
+    const { data, createdAt, cacheHit } = await getOrRenderOnDemand(
+      cacheKey,
+      () => runOnDemandRender(() =>
+        onDemandRenderDuration.timeAsync({}, () => renderOnDemandAsync(pageConfig))
+      )
+    );
+
+    console.log(
+      `${new Date().toISOString()}: Rendered ${pageConfig.screenShotUrl} on demand${cacheHit ? " (cached)" : ""}`
+    );
+
+    sendImage(request, response, data, {
+      contentType: getImageMimeType(pageConfig.imageFormat),
+      lastModified: new Date(createdAt),
+      headers: { "X-Cache": cacheHit ? "HIT" : "MISS" }
+    });
+  } catch (e) {
+    console.error(`On-demand render of ${pageConfig.screenShotUrl} failed: ${e.message}`);
+    response.writeHead(502);
+    response.end(describeRenderError(e));
+  }
+}
+
+async function renderOnDemandAsync(pageConfig) {
+  console.log(`Rendering ${getPageUrl(pageConfig)} to image on demand...`);
+  const screenshot = await takeScreenshotAsync(pageConfig);
+  return convertImageToKindleCompatiblePngAsync(pageConfig, screenshot);
+}
+
+// Renders a page in a new tab and returns the screenshot, without
+// converting or saving it
+async function takeScreenshotAsync(pageConfig) {
+  const browser = await getOrLaunchBrowser();
+  const url = getPageUrl(pageConfig);
+  const tempPath = path.join(
+    os.tmpdir(),
+    `on-demand-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.png`
+  );
+
+  try {
+    await renderUrlToImageAsync(browser, pageConfig, url, tempPath);
+    return await fs.readFile(tempPath);
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+}
+
+// Applies the settings saved in the admin UI on top of the configured ones
+function applyTunedSettings() {
+  config.pages.forEach((pageConfig, pageIndex) => {
+    const saved = tunedSettings.get(pageIndex + 1);
+    if (!saved) {
+      return;
+    }
+    const { settings, error } = parseTunedSettings(saved, pageConfig);
+    if (error) {
+      console.error(`Ignoring tuned settings of page ${pageIndex + 1}: ${error}`);
+      return;
+    }
+    console.log(`Page ${pageIndex + 1} uses settings from the admin UI: ${JSON.stringify(settings)}`);
+    Object.assign(pageConfig, settings);
+  });
+}
+
+// Admin UI and its API, see admin.js. Behind Home Assistant's ingress, the
+// path the add-on is proxied under is given in X-Ingress-Path.
+async function handleAdminRequest(url, request, response) {
+  const pathname = url.pathname;
+  if (pathname === '/' || pathname === '/admin' || pathname === '/admin/') {
+    const html = createAdminPage(`${request.headers['x-ingress-path'] || ''}/admin/api`);
+    response.writeHead(200, {
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Length": Buffer.byteLength(html),
+      "Cache-Control": "no-cache"
+    });
+    response.end(html);
+    return;
+  }
+
+  if (pathname === '/admin/api/pages') {
+    sendJson(response, 200, await Promise.all(config.pages.map((_, i) => getAdminPageAsync(i))));
+    return;
+  }
+
+  const match = pathname.match(/^\/admin\/api\/pages\/(\d+)(?:\/(image|preview|render|settings))?$/);
+  const pageIndex = match ? parseInt(match[1]) - 1 : -1;
+  if (pageIndex < 0 || pageIndex >= config.pages.length) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  const pageConfig = config.pages[pageIndex];
+
+  if (request.method !== "GET") {
+    const refused = checkAdminWriteRequest(request);
+    if (refused) {
+      sendJson(response, refused.statusCode, { error: refused.error });
+      return;
+    }
+  }
+
+  try {
+    switch (`${request.method} ${match[2] || ""}`) {
+      case "GET ":
+        sendJson(response, 200, await getAdminPageAsync(pageIndex));
+        return;
+      case "GET image":
+        await sendAdminImageAsync(pageIndex, response);
+        return;
+      case "POST preview": {
+        const { settings, error } = await readTunedSettingsAsync(request, pageConfig);
+        if (error) {
+          sendJson(response, 400, { error });
+          return;
+        }
+        const data = await renderPreviewAsync(pageIndex, settings);
+        response.writeHead(200, {
+          "Content-Type": "image/png",
+          "Content-Length": data.length,
+          "Cache-Control": "no-cache"
+        });
+        response.end(data);
+        return;
+      }
+      case "POST render":
+        await renderPagesAsync([pageIndex], "requested in admin UI", { ignoreQuietHours: true });
+        sendJson(response, 200, await getAdminPageAsync(pageIndex));
+        return;
+      case "PUT settings": {
+        const { settings, error } = await readTunedSettingsAsync(request, pageConfig);
+        if (error) {
+          sendJson(response, 400, { error });
+          return;
+        }
+        // only keep what differs from the configured settings
+        const configured = configuredSettings[pageIndex];
+        const changed = Object.fromEntries(
+          Object.entries({ ...tunedSettings.get(pageIndex + 1), ...settings })
+            .filter(([key, value]) => value !== configured[key])
+        );
+        if (Object.keys(changed).length > 0) {
+          await tunedSettings.set(pageIndex + 1, changed);
+        } else {
+          await tunedSettings.remove(pageIndex + 1);
+        }
+        Object.assign(pageConfig, configured, changed);
+        console.log(`Settings of page ${pageIndex + 1} changed in admin UI: ${JSON.stringify(changed)}`);
+        await renderPagesAsync([pageIndex], "settings changed", { ignoreQuietHours: true });
+        sendJson(response, 200, await getAdminPageAsync(pageIndex));
+        return;
+      }
+      case "DELETE settings":
+        await tunedSettings.remove(pageIndex + 1);
+        Object.assign(pageConfig, configuredSettings[pageIndex]);
+        console.log(`Settings of page ${pageIndex + 1} were reset in admin UI`);
+        await renderPagesAsync([pageIndex], "settings reset", { ignoreQuietHours: true });
+        sendJson(response, 200, await getAdminPageAsync(pageIndex));
+        return;
+      default:
+        sendJson(response, 405, { error: `Method ${request.method} not allowed` });
+    }
+  } catch (e) {
+    console.error(`Admin request ${request.method} ${pathname} failed: ${e.message}`);
+    sendJson(response, e.reason ? 502 : 500, { error: e.reason ? describeRenderError(e) : e.message });
+  }
+}
+
+async function readTunedSettingsAsync(request, pageConfig) {
+  let body;
+  try {
+    body = await readJsonBodyAsync(request);
+  } catch (e) {
+    return { error: e.message };
+  }
+  return parseTunedSettings(body, pageConfig);
+}
+
+async function getAdminPageAsync(pageIndex) {
+  const pageConfig = config.pages[pageIndex];
+  let lastModified = null;
+  try {
+    lastModified = (await fs.stat(pageConfig.outputPath + "." + pageConfig.imageFormat)).mtime;
+  } catch {
+    // not rendered yet
+  }
+  return {
+    page: pageIndex + 1,
+    name: pageConfig.name,
+    screenShotUrl: pageConfig.screenShotUrl,
+    imageFormat: pageConfig.imageFormat,
+    filters: pageConfig.filters,
+    lastModified,
+    status: getRenderStatus(pageIndex),
+    settings: pickTunedSettings(pageConfig),
+    configured: configuredSettings[pageIndex],
+    tuned: tunedSettings.get(pageIndex + 1) !== null
+  };
+}
+
+// The page's current image, without recording a device request
+async function sendAdminImageAsync(pageIndex, response) {
+  const pageConfig = config.pages[pageIndex];
+  if (pageConfig.imageFormat === "raw") {
+    sendJson(response, 415, { error: "Raw images can't be shown in the browser" });
+    return;
+  }
+  let data;
+  try {
+    data = await fs.readFile(pageConfig.outputPath + "." + pageConfig.imageFormat);
+  } catch {
+    sendJson(response, 404, { error: "Image not found" });
+    return;
+  }
+  response.writeHead(200, {
+    "Content-Type": getImageMimeType(pageConfig.imageFormat),
+    "Content-Length": data.length,
+    "Cache-Control": "no-cache"
+  });
+  response.end(data);
+}
+
+// Converts the page's last screenshot with the given settings. Scaling is
+// applied by the browser, so changing it takes a new screenshot.
+async function renderPreviewAsync(pageIndex, settings) {
+  const pageConfig = { ...config.pages[pageIndex], ...settings };
+  let screenshot = lastScreenshots[pageIndex];
+  if (!screenshot || screenshot.scaling !== pageConfig.scaling) {
+    const data = await runOnDemandRender(() => takeScreenshotAsync(pageConfig));
+    screenshot = lastScreenshots[pageIndex] = { data, scaling: pageConfig.scaling };
+  }
+  const image = await applyFiltersAsync(pageConfig, screenshot.data);
+  // always a PNG, as browsers can't show raw images
+  return quantizeAndEncodeImageAsync({ ...pageConfig, imageFormat: "png" }, image);
+}
+
+// API for automations, see http-api.js
+async function handleApiRequest(url, request, response) {
+  const denied = checkAuthorization(request, config.apiToken);
+  if (denied) {
+    console.log(`Denied API request ${request.method} ${url.pathname}: ${denied.error}`);
+    sendJson(response, denied.statusCode, { error: denied.error });
+    return;
+  }
+
+  const match = url.pathname.match(/^\/api\/pages\/(\d+)\/image$/);
+  if (url.pathname !== '/api/render' && !match) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  if (request.method !== "POST") {
+    sendJson(response, 405, { error: `Method ${request.method} not allowed` });
+    return;
+  }
+
+  try {
+    if (match) {
+      await handleImageUploadAsync(parseInt(match[1]) - 1, url, request, response);
+    } else {
+      await handleRenderApiRequestAsync(url, request, response);
+    }
+  } catch (e) {
+    console.error(`API request ${request.method} ${url.pathname} failed: ${e.message}`);
+    sendJson(response, 500, { error: e.message });
+  }
+}
+
+// Renders pages right away, even during their quiet hours. With `wait`, the
+// response is sent once all of them were rendered and contains their results.
+async function handleRenderApiRequestAsync(url, request, response) {
+  let body;
+  try {
+    body = await readJsonBodyAsync(request);
+  } catch (e) {
+    sendJson(response, 400, { error: e.message });
+    return;
+  }
+  const { pageIndices, wait, error } = parseRenderApiRequest(url, body, config.pages);
+  if (error) {
+    sendJson(response, 400, { error });
+    return;
+  }
+
+  const requestedAt = Date.now();
+  const rendering = renderPagesAsync(pageIndices, "requested via API", { ignoreQuietHours: true });
+  if (!wait) {
+    rendering.catch((e) => console.error(`Render requested via API failed: ${e.message}`));
+    sendJson(response, 202, { pages: pageIndices.map((pageIndex) => pageIndex + 1) });
+    return;
+  }
+
+  // pages which are already being rendered are rendered again afterwards,
+  // so wait for the first render which started after the request
+  const waiting = new AbortController();
+  const renders = pageIndices.map((pageIndex) =>
+    waitForRenderAsync(pageIndex, requestedAt, waiting.signal)
+  );
+  try {
+    await rendering;
+  } catch (e) {
+    // e.g. if the browser couldn't be launched
+    waiting.abort();
+    console.error(`Render requested via API failed: ${e.message}`);
+    sendJson(response, 502, { error: describeRenderError(e) });
+    return;
+  }
+  // the renders still running end within their timeout, then the pages
+  // rendered by them are rendered once more
+  const timeout = setTimeout(
+    () => waiting.abort(),
+    config.pageRenderTimeout * (Math.ceil(config.pages.length / config.pageConcurrency) + 1)
+  );
+  const finished = await Promise.all(renders);
+  clearTimeout(timeout);
+
+  const pages = pageIndices.map((pageIndex, i) =>
+    getRenderResult(pageIndex, config.pages[pageIndex], getRenderStatus(pageIndex), finished[i])
+  );
+  sendJson(response, 200, {
+    status: pages.every((page) => page.status === "ok") ? "ok" : "failed",
+    pages
+  });
+}
+
+// Resolves with true once a render of the page which started at or after
+// `since` finished, or with false if the signal aborts first
+function waitForRenderAsync(pageIndex, since, signal) {
+  return new Promise((resolve) => {
+    const onRendered = (renderedIndex, renderStarted) => {
+      if (renderedIndex === pageIndex && renderStarted >= since) done(true);
+    };
+    const onAbort = () => done(false);
+    const done = (finished) => {
+      renderEvents.off("rendered", onRendered);
+      signal.removeEventListener("abort", onAbort);
+      resolve(finished);
+    };
+    renderEvents.on("rendered", onRendered);
+    signal.addEventListener("abort", onAbort);
+  });
+}
+
+// Converts an uploaded image like a screenshot of the page and saves it as
+// the page's image. The next render replaces it, unless it's held for
+// `hold` seconds, during which the page's cronjob and triggers skip it.
+async function handleImageUploadAsync(pageIndex, url, request, response) {
+  if (pageIndex < 0 || pageIndex >= config.pages.length) {
+    sendJson(response, 404, { error: `Unknown page ${pageIndex + 1}` });
+    return;
+  }
+  const { fit, hold, error } = parseUploadOptions(url);
+  if (error) {
+    sendJson(response, 400, { error });
+    return;
+  }
+  let data;
+  try {
+    data = await readBodyAsync(request, MAX_IMAGE_SIZE);
+  } catch (e) {
+    sendJson(response, 400, { error: e.message });
+    return;
+  }
+  if (data.length === 0) {
+    sendJson(response, 400, { error: "Expected an image as the request body" });
+    return;
+  }
+
+  const pageConfig = config.pages[pageIndex];
+  let screenshot;
+  try {
+    screenshot = await fitUploadedImageAsync(data, getViewportSize(pageConfig), fit);
+  } catch (e) {
+    sendJson(response, 400, { error: `Invalid image: ${e.message}` });
+    return;
+  }
+
+  const startedAt = Date.now();
+  const outputPath = pageConfig.outputPath + "." + pageConfig.imageFormat;
+  await fsExtra.ensureDir(path.dirname(outputPath));
+  const changed = await conversionDuration.timeAsync({ page: pageIndex + 1 }, () =>
+    convertAndSaveImageAsync(pageConfig, screenshot, outputPath)
+  );
+  // the next render replaces the image even if the dashboard didn't change
+  delete screenshotHashes[pageIndex];
+  heldPages[pageIndex] = hold > 0 ? new Date(startedAt + hold * 1000) : null;
+  getRenderStatus(pageIndex).lastUpload = new Date();
+  await recordHistoryAsync(
+    pageIndex,
+    { source: "upload", status: "ok", changed, duration: (Date.now() - startedAt) / 1000 },
+    screenshot
+  );
+  console.log(
+    `Page ${pageIndex + 1} shows an uploaded image` +
+      (heldPages[pageIndex] ? ` until ${heldPages[pageIndex].toISOString()}` : "")
+  );
+
+  sendJson(response, 200, {
+    page: pageIndex + 1,
+    name: pageConfig.name || null,
+    changed,
+    heldUntil: heldPages[pageIndex],
+    // in seconds
+    duration: (Date.now() - startedAt) / 1000
+  });
+}
+
+// Past renders of a page: /history/<n> lists them, /history/<n>/<id> returns
+// the image of one and /history/<n>/diff highlights what changed between two
+async function handleHistoryRequest(url, request, response) {
+  const match = url.pathname.match(/^\/history\/(\d+)(?:\/(\d+|diff))?$/);
+  const pageIndex = match ? parseInt(match[1]) - 1 : -1;
+  if (pageIndex < 0 || pageIndex >= config.pages.length) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  const history = renderHistories[pageIndex];
+  if (!history) {
+    sendJson(response, 404, {
+      error: `Page ${pageIndex + 1} keeps no history, set HISTORY_SIZE, HISTORY_MAX_AGE or HISTORY_MAX_SIZE`
+    });
+    return;
+  }
+  const variant = url.searchParams.get("variant") || "image";
+  if (!HISTORY_VARIANTS.includes(variant)) {
+    sendJson(response, 400, { error: `variant: expected one of ${HISTORY_VARIANTS.join(", ")}` });
+    return;
+  }
+
+  if (!match[2]) {
+    sendJson(response, 200, {
+      page: pageIndex + 1,
+      name: config.pages[pageIndex].name || null,
+      // newest first
+      entries: history.list().map((entry) => getHistoryEntryJson(pageIndex, entry)).reverse()
+    });
+    return;
+  }
+  if (match[2] === "diff") {
+    await sendHistoryDiffAsync(pageIndex, history, variant, url, request, response);
+    return;
+  }
+
+  const entry = history.get(parseInt(match[2]));
+  const filePath = entry && history.getFilePath(entry, variant);
+  if (!filePath) {
+    sendJson(response, 404, { error: `No ${variant} of render ${match[2]}` });
+    return;
+  }
+  let data;
+  try {
+    data = await fs.readFile(filePath);
+  } catch (e) {
+    // pruned by a render which finished in the meantime
+    if (e.code !== "ENOENT") throw e;
+    sendJson(response, 404, { error: `No ${variant} of render ${match[2]}` });
+    return;
+  }
+  sendImage(request, response, data, {
+    contentType: variant === "screenshot"
+      ? "image/png"
+      : getImageMimeType(config.pages[pageIndex].imageFormat),
+    lastModified: new Date(entry.renderedAt)
+  });
+}
+
+function getHistoryEntryJson(pageIndex, entry) {
+  const files = Object.fromEntries(
+    HISTORY_VARIANTS.map((variant) => [
+      variant,
+      entry[variant] && {
+        url: `/history/${pageIndex + 1}/${entry.id}${variant === "image" ? "" : `?variant=${variant}`}`,
+        size: entry[variant].size
+      }
+    ])
+  );
+  return { ...entry, ...files };
+}
+
+// `to` defaults to the latest render and `from` to the one before `to`. The
+// number of changed pixels is returned in X-Changed-Pixels.
+async function sendHistoryDiffAsync(pageIndex, history, variant, url, request, response) {
+  const entries = history.list().filter((entry) => entry[variant]);
+  const findEntry = (param, fallback) =>
+    url.searchParams.has(param)
+      ? entries.find((entry) => entry.id === parseInt(url.searchParams.get(param)))
+      : fallback();
+  const to = findEntry("to", () => entries[entries.length - 1]);
+  const from = findEntry("from", () => entries[entries.indexOf(to) - 1]);
+  if (!from || !to) {
+    sendJson(response, 404, { error: `Expected two renders with a ${variant} to compare` });
+    return;
+  }
+
+  let diff;
+  try {
+    diff = await createDiffImageAsync(
+      history.getFilePath(from, variant),
+      history.getFilePath(to, variant)
+    );
+  } catch (e) {
+    // sharp can't read raw and bmp images
+    sendJson(response, 415, {
+      error: `Could not compare the images (${e.message}), try variant=screenshot`
+    });
+    return;
+  }
+  sendImage(request, response, diff.data, {
+    contentType: "image/png",
+    lastModified: new Date(to.renderedAt),
+    headers: {
+      "X-Diff-From": String(from.id),
+      "X-Diff-To": String(to.id),
+      "X-Changed-Pixels": String(diff.changedPixels),
+      "X-Total-Pixels": String(diff.totalPixels)
+    }
+  });
+}
+
+// List all known devices or return a single one including its battery history
+function handleDevicesRequest(url, response) {
+  const pathname = url.pathname;
+  if (pathname === '/api/devices') {
+    sendJson(response, 200, deviceRegistry.list());
+    return;
+  }
+
+  if (pathname.endsWith('/directives')) {
+    handleDirectivesRequest(url, response);
+    return;
+  }
+
+  const deviceId = decodePathSegment(pathname.substring('/api/devices/'.length));
+  if (deviceId === null) {
+    sendJson(response, 400, { error: "Invalid device id" });
+    return;
+  }
+  const device = deviceRegistry.get(deviceId);
+  if (!device) {
+    sendJson(response, 404, { error: `Unknown device: ${deviceId}` });
+    return;
+  }
+  sendJson(response, 200, device);
+}
+
+// A decoded part of a path, or null if it contains malformed escapes like %E0
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+function sendJson(response, statusCode, body) {
+  const data = JSON.stringify(body, null, 2);
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(data),
+    "Cache-Control": "no-cache"
+  });
+  response.end(data);
+}
+
+// Whether the browser responds, without launching it if it isn't running
+async function getBrowserStateAsync() {
+  if (browserLaunch) {
+    return "launching";
+  }
+  if (!persistentBrowser) {
+    return "not running";
+  }
+  try {
+    await Promise.race([
+      persistentBrowser.version(),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("timeout")), 5000)
+      )
+    ]);
+    return "running";
+  } catch {
+    return "unresponsive";
+  }
+}
+
+// Renders stopped if a page wasn't attempted for three times its interval,
+// e.g. because the browser hangs. Pages skipped for quiet hours don't count.
+function isRenderingStalled(pageIndex, pageConfig, now) {
+  if (config.debug || isInQuietHours(pageConfig.quietHours, now, config.timezone)) {
+    return false;
+  }
+  const status = getRenderStatus(pageIndex);
+  const lastActivity = Math.max(startedAt, status.lastAttempt, status.lastSkipped);
+  return now - lastActivity > 3 * getCronInterval(pageConfig.cronJob);
+}
+
+// "unhealthy" if rendering stopped altogether, "degraded" if pages fail to
+// render, e.g. because Home Assistant is down. Only the former is answered
+// with 503, as restarting doesn't help if Home Assistant is unavailable.
+async function handleHealthRequest(response) {
+  const now = new Date();
+  const browser = await getBrowserStateAsync();
+  const pages = config.pages.map((pageConfig, pageIndex) => {
+    const status = getRenderStatus(pageIndex);
+    return {
+      page: pageIndex + 1,
+      lastAttempt: status.lastAttempt,
+      lastSuccess: status.lastSuccess,
+      lastError: status.lastError,
+      consecutiveFailures: status.consecutiveFailures,
+      readiness: status.readiness,
+      stalled: isRenderingStalled(pageIndex, pageConfig, now)
+    };
+  });
+
+  let status = "ok";
+  if (browser === "unresponsive" || pages.some((page) => page.stalled)) {
+    status = "unhealthy";
+  } else if (pages.some((page) => page.consecutiveFailures > 0)) {
+    status = "degraded";
+  }
+  sendJson(response, status === "unhealthy" ? 503 : 200, { status, browser, pages });
+}
+
+async function handleMetricsRequest(response) {
+  try {
+    const data = await metrics.renderAsync();
+    response.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Content-Length": Buffer.byteLength(data),
+      "Cache-Control": "no-cache"
+    });
+    response.end(data);
+  } catch (e) {
+    console.error(`Could not collect metrics: ${e.message}`);
+    response.writeHead(500);
+    response.end("Internal server error");
+  }
+}
+
+function getDirectivesForDevice(pageConfig, device, battery) {
+  return getDeviceDirectives(
+    pageConfig,
+    {
+      battery,
+      partialRefreshes: device && device.partialRefreshes !== undefined
+        ? device.partialRefreshes
+        : null
+    },
+    new Date(),
+    config.timezone
+  );
+}
+
+// Directives the device would get with its next image, so devices can ask
+// for them without downloading the image
+function handleDirectivesRequest(url, response) {
+  const deviceId = decodePathSegment(
+    url.pathname.slice('/api/devices/'.length, -'/directives'.length)
+  );
+  if (deviceId === null) {
+    sendJson(response, 400, { error: "Invalid device id" });
+    return;
+  }
+  if (!isValidDeviceId(deviceId)) {
+    sendJson(response, 400, { error: `Invalid device id: ${deviceId}` });
+    return;
+  }
+  const pageNumber = getDevicePageNumber(url, deviceId);
+  if (pageNumber === null) {
+    sendJson(response, 400, { error: `Invalid page: ${url.searchParams.get("page")}` });
+    return;
+  }
+  const device = deviceRegistry.get(deviceId);
+  const directives = getDirectivesForDevice(config.pages[pageNumber - 1], device, {
+    batteryLevel: device ? device.batteryLevel : null,
+    isCharging: device ? device.isCharging : null
+  });
+  sendJson(response, 200, { deviceId, page: pageNumber, ...directives });
+}
+
+// Current state of an entity, or null if it can't be fetched. States are
+// fetched once per request, even if several entries depend on them.
+function createEntityStateLookup() {
+  const states = new Map();
+  return (pageConfig, entityId) => {
+    const key = `${getInstanceKey(pageConfig)} ${entityId}`;
+    if (!states.has(key)) {
+      states.set(key, fetchEntityStateAsync(getHaInstance(pageConfig), entityId));
+    }
+    return states.get(key);
+  };
+}
+
+async function fetchEntityStateAsync(instance, entityId) {
+  try {
+    const accessToken = await instance.auth.getAccessTokenAsync();
+    const entityState = await requestAsync(
+      new URL(`/api/states/${encodeURIComponent(entityId)}`, instance.baseUrl).toString(),
+      {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        rejectUnauthorized: !config.ignoreCertificateErrors
+      }
+    );
+    return entityState.state;
+  } catch (e) {
+    console.error(`Could not get the state of ${entityId}: ${e.message}`);
+    return null;
+  }
+}
+
+// Serves the current page of a device's playlist, see playlists.js
+async function handlePlaylistRequest(url, request, response) {
+  const deviceId = decodePathSegment(url.pathname.substring('/device/'.length));
+  if (deviceId === null) {
+    response.writeHead(400);
+    response.end("Invalid device name");
+    return;
+  }
+  const playlist = config.playlists[deviceId];
+  if (!playlist) {
+    console.log(`Unknown playlist in request: ${request.url}`);
+    response.writeHead(404);
+    response.end("Unknown device");
+    return;
+  }
+
+  const now = new Date();
+  const getState = createEntityStateLookup();
+  const activeEntries = await Promise.all(
+    playlist.map((entry) =>
+      isEntryActiveAsync(entry, now, config.timezone, (activeEntry, entityId) =>
+        getState(config.pages[activeEntry.page - 1], entityId)
+      )
+    )
+  );
+  const device = deviceRegistry.get(deviceId);
+  const position = getNextPosition(playlist, activeEntries, device && device.playlist, now);
+  if (position.changed) {
+    console.log(
+      `${now.toISOString()}: Device ${deviceId} switched to page ${playlist[position.entry].page}`
+    );
+  }
+  await sendPageImageAsync(url, request, response, playlist[position.entry].page, deviceId, {
+    playlist,
+    position
+  });
+}
+
 // Handle image requests (original functionality)
 async function handleImageRequest(url, request, response) {
   // Check the page number
   const pageNumberStr = url.pathname;
-  // and get the battery level, if any
-  // (see https://github.com/sibbl/hass-lovelace-kindle-screensaver/README.md for patch to generate it on Kindle)
-  const batteryLevel = parseInt(url.searchParams.get("batteryLevel"));
-  const isCharging = url.searchParams.get("isCharging");
   const pageNumber =
     pageNumberStr === "/" ? 1 : parseInt(pageNumberStr.substring(1));
   if (
@@ -179,6 +1457,46 @@ async function handleImageRequest(url, request, response) {
     response.end("Invalid request");
     return;
   }
+  const deviceId = getDeviceId(url, request, pageNumber);
+  if (deviceId === null) {
+    console.log(`Invalid device id in request: ${request.url}`);
+    response.writeHead(400);
+    response.end("Invalid device id");
+    return;
+  }
+  await sendPageImageAsync(url, request, response, pageNumber, deviceId);
+}
+
+// Sends the image of a page to a device. `playlist` and `position` are given
+// if the device requested its playlist.
+async function sendPageImageAsync(
+  url,
+  request,
+  response,
+  pageNumber,
+  deviceId,
+  { playlist, position } = {}
+) {
+  // get the battery level, if any
+  // (see https://github.com/sibbl/hass-lovelace-kindle-screensaver/README.md for patch to generate it on Kindle)
+  const batteryLevel = parseInt(url.searchParams.get("batteryLevel"));
+  const isCharging = url.searchParams.get("isCharging");
+  const isBatteryLevelValid =
+    !isNaN(batteryLevel) && batteryLevel >= 0 && batteryLevel <= 100;
+  const deviceRequest = {
+    pageNumber,
+    ip: getClientIp(request),
+    userAgent: request.headers["user-agent"],
+    batteryLevel: isBatteryLevelValid ? batteryLevel : undefined,
+    isCharging: !isBatteryLevelValid
+      ? undefined
+      : isCharging === "Yes" || isCharging === "1"
+        ? true
+        : isCharging === "No" || isCharging === "0"
+          ? false
+          : undefined,
+    playlist: position
+  };
   try {
     // Log when the page was accessed
     const n = new Date();
@@ -191,14 +1509,40 @@ async function handleImageRequest(url, request, response) {
     const data = await fs.readFile(outputPathWithExtension);
     const stat = await fs.stat(outputPathWithExtension);
 
-    const lastModifiedTime = new Date(stat.mtime).toUTCString();
-
-    response.writeHead(200, {
-      "Content-Type": "image/" + configPage.imageFormat,
-      "Content-Length": Buffer.byteLength(data),
-      "Last-Modified": lastModifiedTime
+    // the file is only replaced if the image changed, so its mtime and
+    // content hash can be used to answer conditional requests
+    const knownDevice = deviceRegistry.get(deviceId);
+    const battery = {
+      batteryLevel: deviceRequest.batteryLevel ??
+        (knownDevice ? knownDevice.batteryLevel : null),
+      isCharging: deviceRequest.isCharging ??
+        (knownDevice ? knownDevice.isCharging : null)
+    };
+    const image = await getServedImageAsync(
+      pageIndex,
+      configPage,
+      data,
+      new Date(stat.mtime),
+      battery
+    );
+    let directives = getDirectivesForDevice(configPage, knownDevice, battery);
+    if (playlist) {
+      directives = applyPlaylistDirectives(directives, playlist, position, n);
+    }
+    const sent = sendImage(request, response, image.data, {
+      contentType: getImageMimeType(configPage.imageFormat),
+      lastModified: image.lastModified,
+      headers: getDirectiveHeaders(directives)
     });
-    response.end(data);
+    recordDeviceRequest(deviceId, {
+      ...deviceRequest,
+      status: sent ? 200 : 304,
+      refresh: sent ? directives.refresh : undefined
+    });
+    imageRequests.inc({ page: pageNumber, status: sent ? 200 : 304 });
+    if (sent) {
+      imageBytesServed.inc({ page: pageNumber }, image.data.length);
+    }
 
     let pageBatteryStore = batteryStore[pageIndex];
     if (!pageBatteryStore) {
@@ -207,7 +1551,7 @@ async function handleImageRequest(url, request, response) {
         isCharging: false
       };
     }
-    if (!isNaN(batteryLevel) && batteryLevel >= 0 && batteryLevel <= 100) {
+    if (isBatteryLevelValid) {
       if (batteryLevel !== pageBatteryStore.batteryLevel) {
         pageBatteryStore.batteryLevel = batteryLevel;
         console.log(
@@ -232,6 +1576,83 @@ async function handleImageRequest(url, request, response) {
     console.error(e);
     response.writeHead(404);
     response.end("Image not found");
+    recordDeviceRequest(deviceId, { ...deviceRequest, status: 404 });
+    imageRequests.inc({ page: pageNumber, status: 404 });
+  }
+}
+
+function recordDeviceRequest(deviceId, deviceRequest) {
+  const device = deviceRegistry.recordRequest(deviceId, deviceRequest);
+  if (mqttPublisher) {
+    mqttPublisher.publishDevice(deviceId, getMqttDeviceState(device));
+  }
+}
+
+function startMqttPublisher() {
+  console.log(`Publishing devices to MQTT broker at ${config.mqttUrl}...`);
+  mqttPublisher = createMqttPublisher({
+    url: config.mqttUrl,
+    username: config.mqttUsername,
+    password: config.mqttPassword,
+    topicPrefix: config.mqttTopicPrefix,
+    discoveryPrefix: config.mqttDiscoveryPrefix,
+    rejectUnauthorized: !config.ignoreCertificateErrors,
+    getDevices: () =>
+      Object.fromEntries(
+        deviceRegistry.list().map((device) => [device.id, getMqttDeviceState(device)])
+      ),
+    onRenderCommand: handleMqttRenderCommand,
+    onDeviceRenderCommand: (deviceId) => {
+      const device = deviceRegistry.get(deviceId);
+      if (device && device.lastPage >= 1 && device.lastPage <= config.pages.length) {
+        renderPagesAsync([device.lastPage - 1], `requested for ${deviceId} via MQTT`, {
+          ignoreQuietHours: true
+        }).catch((e) => console.error(`Render requested for ${deviceId} via MQTT failed: ${e.message}`));
+      }
+    }
+  });
+}
+
+// The render topic takes page numbers or names separated by commas, or
+// nothing to render all pages
+function handleMqttRenderCommand(payload) {
+  const { pageIndices, error } = parsePageReferences(
+    payload === "" || payload === "all" ? [] : payload.split(","),
+    config.pages
+  );
+  if (error) {
+    console.error(`Ignoring MQTT render command: ${error}`);
+    return;
+  }
+  renderPagesAsync(pageIndices, "requested via MQTT", { ignoreQuietHours: true })
+    .catch((e) => console.error(`Render requested via MQTT failed: ${e.message}`));
+}
+
+// State of a device as published to its state topic, including the last
+// render of the page it showed last
+function getMqttDeviceState(device) {
+  const status = device.lastPage >= 1 && device.lastPage <= config.pages.length
+    ? getRenderStatus(device.lastPage - 1)
+    : null;
+  return {
+    page: device.lastPage,
+    battery_level: device.batteryLevel,
+    charging: device.isCharging,
+    last_seen: device.lastSeen,
+    render_status: !status || !status.lastAttempt ? null : status.lastErrorReason || "OK",
+    render_duration: status ? status.lastDuration : null
+  };
+}
+
+// Devices showing the page get its new render status
+function publishPageDevices(pageIndex) {
+  if (!mqttPublisher) {
+    return;
+  }
+  for (const device of deviceRegistry.list()) {
+    if (device.lastPage === pageIndex + 1) {
+      mqttPublisher.publishDevice(device.id, getMqttDeviceState(device));
+    }
   }
 }
 
@@ -285,19 +1706,34 @@ async function launchBrowserAndLogin() {
     headless: config.debug !== true
   });
 
-  console.log(`Visiting '${config.baseUrl}' to login...`);
+  // an instance which is down only affects its own pages, which log in
+  // again once they're shown the login page
+  for (const instance of haInstances.values()) {
+    if (!instance.rendersPages) {
+      continue;
+    }
+    try {
+      await loginAsync(browser, instance);
+    } catch (e) {
+      console.error(`Could not log in to ${instance.baseUrl}: ${e.message}`);
+    }
+  }
+  return browser;
+}
+
+// Stores the tokens in the browser's local storage, where HA's frontend
+// picks them up. Tabs share the local storage, so it only needs to be done
+// once per browser launch and whenever the tokens were rejected.
+async function loginAsync(browser, instance) {
+  const hassTokens = await instance.auth.getTokensAsync();
+
+  console.log(`Visiting '${instance.baseUrl}' to login...`);
   const page = await browser.newPage();
-  await page.goto(config.baseUrl, {
+  await page.goto(instance.baseUrl, {
     waitUntil: ["domcontentloaded", "load", "networkidle2"],
     timeout: config.renderingTimeout
   });
 
-  const hassTokens = {
-    hassUrl: config.baseUrl,
-    access_token: config.accessToken,
-    token_type: "Bearer"
-  };
-
   console.log("Adding authentication entry to browser's local storage...");
 
   // HA may redirect after load, so retry if execution context is destroyed
@@ -326,71 +1762,438 @@ async function launchBrowserAndLogin() {
   }
 
   await page.close();
-  return browser;
 }
 
-async function renderAndConvertAsync(existingBrowser) {
-  const browser = existingBrowser || await getOrLaunchBrowser();
+// Logs in again after HA showed its login page, e.g. because the tokens
+// expired or the frontend discarded them. Concurrent renders share one login.
+function reauthenticateAsync(browser, instance) {
+  if (!instance.reauthentication) {
+    console.log(`Home Assistant at ${instance.baseUrl} showed its login page, logging in again...`);
+    instance.auth.invalidate();
+    instance.reauthentication = loginAsync(browser, instance).finally(() => {
+      instance.reauthentication = null;
+    });
+  }
+  return instance.reauthentication;
+}
+
+// Renders the given pages, skipping those within their quiet hours or
+// showing an uploaded image which is held. Pages which are already being
+// rendered are rendered again afterwards, unless skipBusy is set.
+async function renderPagesAsync(
+  pageIndices,
+  reason,
+  { ignoreQuietHours = false, skipBusy = false } = {}
+) {
+  const now = new Date();
+  const pagesToRender = pageIndices.filter((pageIndex) => {
+    const pageConfig = config.pages[pageIndex];
+    if (!ignoreQuietHours && isInQuietHours(pageConfig.quietHours, now, config.timezone)) {
+      console.log(`Skipping page ${pageIndex + 1} during quiet hours ${pageConfig.quietHours}`);
+      getRenderStatus(pageIndex).lastSkipped = now;
+      return false;
+    }
+    if (!ignoreQuietHours && heldPages[pageIndex] > now) {
+      console.log(
+        `Skipping page ${pageIndex + 1}, its uploaded image is held until ${heldPages[pageIndex].toISOString()}`
+      );
+      getRenderStatus(pageIndex).lastSkipped = now;
+      return false;
+    }
+    if (renderingPages.has(pageIndex)) {
+      // cronjobs skip a tick instead of piling up renders of slow pages
+      if (skipBusy) {
+        console.log(`Skipping page ${pageIndex + 1}, its previous render is still running`);
+      } else {
+        pendingPages.add(pageIndex);
+      }
+      return false;
+    }
+    return true;
+  });
+  if (pagesToRender.length === 0) {
+    return;
+  }
+
+  console.log(
+    `Rendering page(s) ${pagesToRender.map((i) => i + 1).join(", ")} (${reason})...`
+  );
+  pagesToRender.forEach((pageIndex) => renderingPages.add(pageIndex));
+  try {
+    await renderAndConvertAsync(undefined, pagesToRender);
+  } finally {
+    pagesToRender.forEach((pageIndex) => renderingPages.delete(pageIndex));
+  }
+
+  const pending = pagesToRender.filter((pageIndex) => pendingPages.delete(pageIndex));
+  if (pending.length > 0) {
+    await renderPagesAsync(pending, "requested while rendering");
+  }
+}
+
+// Re-render pages as soon as one of their trigger entities changes, with one
+// connection per Home Assistant instance
+function startStateChangeTriggers() {
+  for (const [key, instance] of haInstances) {
+    const pageIndices = config.pages
+      .map((pageConfig, pageIndex) => (getInstanceKey(pageConfig) === key ? pageIndex : -1))
+      .filter((pageIndex) => pageIndex >= 0);
+    const entityIds = [
+      ...new Set(pageIndices.flatMap((pageIndex) => config.pages[pageIndex].triggerEntities))
+    ];
+    if (entityIds.length === 0) {
+      continue;
+    }
+
+    console.log(`Watching ${entityIds.join(", ")} at ${instance.baseUrl} for state changes...`);
+    subscribeToStateChanges({
+      // the configured websocket URL belongs to the global instance
+      url: config.haWebsocketUrl && instance.baseUrl === config.baseUrl
+        ? config.haWebsocketUrl
+        : getWebsocketUrl(instance.baseUrl),
+      accessToken: instance.auth.getAccessTokenAsync,
+      entityIds,
+      rejectUnauthorized: !config.ignoreCertificateErrors,
+      onStateChanged: (entityId, newState, oldState) => {
+        console.log(`${entityId} changed from ${oldState} to ${newState}`);
+        renderPagesAsync(
+          pageIndices.filter((pageIndex) =>
+            config.pages[pageIndex].triggerEntities.includes(entityId)
+          ),
+          `${entityId} changed`
+        ).catch((e) => console.error(`Render after ${entityId} changed failed: ${e.message}`));
+      }
+    });
+  }
+}
+
+async function renderAndConvertAsync(
+  existingBrowser,
+  pageIndices = config.pages.map((_, i) => i)
+) {
   try {
-    for (let pageIndex = 0; pageIndex < config.pages.length; pageIndex++) {
-      const pageConfig = config.pages[pageIndex];
-      const pageBatteryStore = batteryStore[pageIndex];
+    const browser = existingBrowser || await getOrLaunchBrowser();
+    await Promise.all(
+      pageIndices.map((pageIndex) =>
+        runPageRender(() => renderPageAsync(browser, pageIndex))
+      )
+    );
+  } catch (e) {
+    // renderPageAsync reports failed renders per page, and a browser which
+    // died or couldn't be launched is tried again before the next render
+    console.error("Render cycle failed:", e.message);
+  }
+}
 
-      const url = `${config.baseUrl}${pageConfig.screenShotUrl}`;
+// Renders a single page, converts it and saves the result. Failures only
+// affect this page and are reported in its render status.
+async function renderPageAsync(browser, pageIndex) {
+  const pageConfig = config.pages[pageIndex];
+  const pageBatteryStore = batteryStore[pageIndex];
 
-      const outputPath = pageConfig.outputPath + "." + pageConfig.imageFormat;
-      await fsExtra.ensureDir(path.dirname(outputPath));
+  const url = getPageUrl(pageConfig);
 
-      const tempPath = outputPath + ".temp";
+  const outputPath = pageConfig.outputPath + "." + pageConfig.imageFormat;
+  await fsExtra.ensureDir(path.dirname(outputPath));
 
-      console.log(`Rendering ${url} to image...`);
-      await renderUrlToImageAsync(browser, pageConfig, url, tempPath);
+  const tempPath = outputPath + ".temp";
 
-      // Check if the temp file was actually created before trying to convert it
+  console.log(`Rendering ${url} to image...`);
+  const renderStarted = Date.now();
+  let screenshot = null;
+  let historyEntry;
+  try {
+    const render = () =>
+      renderDuration.timeAsync({ page: pageIndex + 1 }, () =>
+        renderUrlToImageAsync(browser, pageConfig, url, tempPath, pageIndex)
+      );
+    try {
+      getRenderStatus(pageIndex).readiness = await render();
+    } catch (e) {
+      if (e.reason !== "auth" || isExternalPage(pageConfig)) throw e;
       try {
-        await fs.access(tempPath);
-        console.log(`Converting rendered screenshot of ${url} to grayscale...`);
-        await convertImageToKindleCompatiblePngAsync(
-          pageConfig,
-          tempPath,
-          outputPath
-        );
-        fs.unlink(tempPath);
+        await reauthenticateAsync(browser, getHaInstance(pageConfig));
+      } catch (loginError) {
+        loginError.name = "AuthError";
+        throw toRenderError(loginError, "login");
+      }
+      getRenderStatus(pageIndex).readiness = await render();
+    }
+    screenshot = await fs.readFile(tempPath);
+    lastScreenshots[pageIndex] = { data: screenshot, scaling: pageConfig.scaling };
+    let changed = false;
+    const screenshotHash = hashContent(screenshot, pageConfig);
+    if (
+      screenshotHashes[pageIndex] === screenshotHash &&
+      (await fileExistsAsync(outputPath))
+    ) {
+      console.log(`Dashboard ${url} did not change, skipping conversion`);
+    } else {
+      console.log(`Converting rendered screenshot of ${url} to grayscale...`);
+      changed = await conversionDuration.timeAsync({ page: pageIndex + 1 }, () =>
+        convertAndSaveImageAsync(pageConfig, tempPath, outputPath)
+      );
+      if (changed) {
         console.log(`Finished ${url}`);
-      } catch (e) {
-        console.error(`Failed for ${url}: ${e.message}`);
-        try {
-          await fs.unlink(tempPath);
-        } catch (unlinkError) {
-          // Ignore error if file doesn't exist
-        }
+      } else {
+        console.log(`Finished ${url}, image did not change`);
       }
+      screenshotHashes[pageIndex] = screenshotHash;
+    }
+    fs.unlink(tempPath);
+    updateRenderStatus(pageIndex, null, (Date.now() - renderStarted) / 1000);
+    historyEntry = { status: "ok", changed, readiness: getRenderStatus(pageIndex).readiness };
+  } catch (e) {
+    console.error(`Failed for ${url}: ${e.message}`);
+    updateRenderStatus(pageIndex, e, (Date.now() - renderStarted) / 1000);
+    historyEntry = { status: "failed", error: describeRenderError(e), errorDetail: e.detail || e.message };
+    try {
+      await fs.unlink(tempPath);
+    } catch (unlinkError) {
+      // Ignore error if file doesn't exist
+    }
+    await showFallbackAsync(pageIndex, pageConfig, outputPath);
+  }
+  await recordHistoryAsync(
+    pageIndex,
+    { source: "render", ...historyEntry, duration: getRenderStatus(pageIndex).lastDuration },
+    screenshot
+  );
+  publishPageDevices(pageIndex);
+  renderEvents.emit("rendered", pageIndex, renderStarted);
 
-      if (
-        pageBatteryStore &&
-        pageBatteryStore.batteryLevel !== null &&
-        pageConfig.batteryWebHook
-      ) {
-        sendBatteryLevelToHomeAssistant(
-          pageIndex,
-          pageBatteryStore,
-          pageConfig.batteryWebHook
-        );
-      }
+  if (
+    pageBatteryStore &&
+    pageBatteryStore.batteryLevel !== null &&
+    pageConfig.batteryWebHook &&
+    pageConfig.baseUrl
+  ) {
+    sendBatteryLevelToHomeAssistant(
+      pageIndex,
+      pageBatteryStore,
+      pageConfig.baseUrl,
+      pageConfig.batteryWebHook
+    );
+  }
+}
+
+// Archives the page's current image along with the screenshot it was
+// converted from, if the page keeps a history
+async function recordHistoryAsync(pageIndex, metadata, screenshot) {
+  const history = renderHistories[pageIndex];
+  if (!history) {
+    return;
+  }
+  const pageConfig = config.pages[pageIndex];
+  try {
+    const image = await fs
+      .readFile(pageConfig.outputPath + "." + pageConfig.imageFormat)
+      .catch(() => null);
+    await history.recordAsync(metadata, { image, screenshot });
+  } catch (e) {
+    console.error(`Could not add render of page ${pageIndex + 1} to its history: ${e.message}`);
+  }
+}
+
+// Applies the page's conversion to an image file or buffer and writes the
+// result to outputPath. Returns whether the output changed.
+async function convertAndSaveImageAsync(pageConfig, input, outputPath) {
+  const adjustedImage = await applyFiltersAsync(pageConfig, input);
+  if (isOverlayEnabled(pageConfig)) {
+    // overlays are drawn when serving the image, so keep a lossless
+    // copy to draw them onto
+    await writeFileIfChangedAsync(
+      getOverlayBasePath(pageConfig),
+      await sharp(adjustedImage.data, { raw: adjustedImage.info })
+        .png({ compressionLevel: 1 })
+        .toBuffer()
+    );
+  }
+  const image = await quantizeAndEncodeImageAsync(pageConfig, adjustedImage);
+  return writeFileIfChangedAsync(outputPath, image);
+}
+
+function getRenderStatus(pageIndex) {
+  return renderStatus[pageIndex] || (renderStatus[pageIndex] = {
+    lastAttempt: null,
+    lastSuccess: null,
+    lastSkipped: null,
+    // when an image was uploaded through the API
+    lastUpload: null,
+    readiness: null,
+    // in seconds, including the conversion
+    lastDuration: null,
+    lastError: null,
+    lastErrorReason: null,
+    lastErrorDetail: null,
+    lastErrorAt: null,
+    failingSince: null,
+    consecutiveFailures: 0
+  });
+}
+
+function updateRenderStatus(pageIndex, error, duration) {
+  const now = new Date();
+  const status = getRenderStatus(pageIndex);
+  status.lastAttempt = now;
+  status.lastDuration = duration;
+  if (error) {
+    status.lastError = error.message;
+    status.lastErrorReason = describeRenderError(error);
+    status.lastErrorDetail = error.detail || error.message;
+    status.lastErrorAt = now;
+    status.failingSince = status.failingSince || now;
+    status.consecutiveFailures++;
+  } else {
+    status.lastSuccess = now;
+    status.lastError = null;
+    status.lastErrorReason = null;
+    status.lastErrorDetail = null;
+    status.failingSince = null;
+    status.consecutiveFailures = 0;
+  }
+}
+
+// Replaces the page's image with the fallback after too many failed renders,
+// or right away if there's no image yet which could be served instead
+async function showFallbackAsync(pageIndex, pageConfig, outputPath) {
+  const status = renderStatus[pageIndex];
+  if (
+    pageConfig.fallbackMode === "none" ||
+    (status.consecutiveFailures < pageConfig.fallbackAfter &&
+      (await fileExistsAsync(outputPath)))
+  ) {
+    return;
+  }
+
+  const fallbackPath = outputPath + ".fallback.png";
+  try {
+    const fallbackImage = await createFallbackImageAsync(
+      pageConfig,
+      {
+        description: status.lastErrorReason,
+        message: status.lastErrorDetail,
+        since: status.failingSince,
+        lastSuccess: status.lastSuccess
+      },
+      config.timezone
+    );
+    await fs.writeFile(fallbackPath, fallbackImage);
+    if (await convertAndSaveImageAsync(pageConfig, fallbackPath, outputPath)) {
+      console.log(
+        `Showing fallback for page ${pageIndex + 1} after ${status.consecutiveFailures} failed render(s)`
+      );
     }
+    // make sure the dashboard replaces the fallback even if it didn't change
+    delete screenshotHashes[pageIndex];
   } catch (e) {
-    console.error("Render cycle failed:", e.message);
-    // If browser died mid-render, clear it so next tick gets a fresh one
-    if (!existingBrowser) {
-      await killBrowser(browser);
-      persistentBrowser = null;
+    console.error(`Could not create fallback for page ${pageIndex + 1}: ${e.message}`);
+  } finally {
+    await fs.unlink(fallbackPath).catch(() => {});
+  }
+}
+
+// An image is stale if its last render failed or if it wasn't rendered for
+// longer than the configured threshold, except during quiet hours
+function getStaleState(pageIndex, pageConfig, lastModified) {
+  const status = renderStatus[pageIndex];
+  if (status && status.lastError) {
+    return { reason: status.lastErrorReason, since: status.lastSuccess };
+  }
+
+  const now = new Date();
+  if (isInQuietHours(pageConfig.quietHours, now, config.timezone)) {
+    return null;
+  }
+  // after a restart, the image's modification time is all we know
+  const lastSuccess = (status && status.lastSuccess) || lastModified;
+  const staleAfter =
+    pageConfig.overlayStaleAfter || 3 * getCronInterval(pageConfig.cronJob) / 1000;
+  if (now - lastSuccess > staleAfter * 1000) {
+    return { reason: "no updates", since: lastSuccess };
+  }
+  return null;
+}
+
+function getOverlayBasePath(pageConfig) {
+  return pageConfig.outputPath + ".base.png";
+}
+
+// Returns the image to send for a page, with the status overlay if enabled.
+// Overlays are cached as long as the image and the overlay's content stay the
+// same, so their Last-Modified date only changes if something changed.
+async function getServedImageAsync(pageIndex, pageConfig, data, lastModified, battery) {
+  if (!isOverlayEnabled(pageConfig)) {
+    return { data, lastModified };
+  }
+
+  const state = {
+    battery: pageConfig.overlayBattery ? battery : null,
+    updatedAt: pageConfig.overlayTimestamp ? lastModified : null,
+    stale: pageConfig.overlayStaleBanner
+      ? getStaleState(pageIndex, pageConfig, lastModified)
+      : null
+  };
+  const cacheKey = JSON.stringify({ lastModified, state });
+  const cache = overlayCache[pageIndex] || (overlayCache[pageIndex] = new Map());
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let entry;
+  try {
+    const base = await sharp(getOverlayBasePath(pageConfig))
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const image = await applyOverlayAsync(pageConfig, base, state, config.timezone);
+    entry = {
+      data: await quantizeAndEncodeImageAsync(pageConfig, image),
+      lastModified: new Date()
+    };
+  } catch (e) {
+    // e.g. if the image was rendered before the overlay was enabled
+    console.error(`Could not draw overlay for page ${pageIndex + 1}: ${e.message}`);
+    return { data, lastModified };
+  }
+
+  cache.set(cacheKey, entry);
+  // only keep a few variants, e.g. for devices with different battery levels
+  while (cache.size > 10) {
+    cache.delete(cache.keys().next().value);
+  }
+  return entry;
+}
+
+async function fileExistsAsync(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Only replace the file if its content changed, so its modification time
+// stays the same and clients don't have to refresh their screen
+async function writeFileIfChangedAsync(filePath, data) {
+  try {
+    const existing = await fs.readFile(filePath);
+    if (existing.equals(data)) {
+      return false;
     }
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
   }
+  const tempPath = filePath + ".new";
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+  return true;
 }
 
 function sendBatteryLevelToHomeAssistant(
   pageIndex,
   batteryStore,
+  baseUrl,
   batteryWebHook
 ) {
   const batteryStatus = JSON.stringify(batteryStore);
@@ -402,7 +2205,7 @@ function sendBatteryLevelToHomeAssistant(
     },
     rejectUnauthorized: !config.ignoreCertificateErrors
   };
-  const url = `${config.baseUrl}/api/webhook/${batteryWebHook}`;
+  const url = `${baseUrl}/api/webhook/${batteryWebHook}`;
   const httpLib = url.toLowerCase().startsWith("https") ? https : http;
   const req = httpLib.request(url, options, (res) => {
     if (res.statusCode !== 200) {
@@ -418,104 +2221,52 @@ function sendBatteryLevelToHomeAssistant(
   req.end();
 }
 
-async function renderUrlToImageAsync(browser, pageConfig, url, path) {
+async function renderUrlToImageAsync(browser, pageConfig, url, path, tabKey) {
   let page;
+  // which step we're at, to tell why rendering failed
+  const progress = { stage: "navigate" };
+  // scheduled renders keep their tab for the next time, unless it failed
+  const reuseTab = tabKey !== undefined && config.reuseTabs && !config.debug;
+  let keepTab = false;
+  let templateFile = null;
   try {
-    page = await browser.newPage();
-
-    // Add console logging in debug mode
-    if (config.debug) {
-      page.on('console', msg => console.log(`[BROWSER] ${msg.type().toUpperCase()}: ${msg.text()}`));
-      page.on('pageerror', err => console.error(`[PAGE ERROR] ${err.message}`));
-      page.on('requestfailed', request => console.warn(`[REQUEST FAILED] ${request.url()}: ${request.failure().errorText}`));
-      console.log(`[DEBUG] Browser viewport will be: ${pageConfig.renderingScreenSize.width}x${pageConfig.renderingScreenSize.height}`);
-      console.log(`[DEBUG] Timezone: ${config.timezone}, Language: ${config.language}`);
-    }
-
-    await page.emulateTimezone(config.timezone);
-
-    await page.emulateMediaFeatures([
-      {
-        name: "prefers-color-scheme",
-        value: `${pageConfig.prefersColorScheme}`
-      }
-    ]);
-
-    let size = {
-      width: Number(pageConfig.renderingScreenSize.width),
-      height: Number(pageConfig.renderingScreenSize.height)
-    };
-
-    if (pageConfig.rotation % 180 > 0) {
-      size = {
-        width: size.height,
-        height: size.width
-      };
-    }
-
-    await page.setViewport(size);
-
-    console.log(`Navigating to ${url}...`);
-    await page.goto(url, {
-      waitUntil: ["domcontentloaded", "load", "networkidle2"],
-      timeout: config.renderingTimeout
-    });
-
-    console.log(`Waiting for home-assistant element...`);
-    await page.waitForSelector("home-assistant", {
-      timeout: config.renderingTimeout
-    });
-
-    // In debug mode, show additional page information
-    if (config.debug) {
-      const pageInfo = await page.evaluate(() => {
-        return {
-          url: window.location.href,
-          title: document.title,
-          userAgent: navigator.userAgent,
-          language: navigator.language,
-          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-          hasHomeAssistant: !!document.querySelector('home-assistant'),
-          hasLovelace: !!document.querySelector('hui-view, hui-panel-view'),
-          themeInfo: {
-            selectedTheme: localStorage.getItem('selectedTheme'),
-            hasTokens: !!localStorage.getItem('hassTokens')
-          }
-        };
-      });
-      console.log(`[DEBUG] Page info:`, JSON.stringify(pageInfo, null, 2));
+    if (getPageSource(pageConfig) === "template") {
+      progress.stage = "template";
+      templateFile = await writeTemplatePageAsync(pageConfig);
+      progress.stage = "navigate";
     }
-
-    await page.addStyleTag({
-      content: `
-        body {
-          zoom: ${pageConfig.scaling * 100}%;
-          overflow: hidden;
-        }`
-    });
-
-    if (pageConfig.renderingDelay > 0) {
-      console.log(`Waiting ${pageConfig.renderingDelay}ms before screenshot...`);
-      await new Promise(resolve => setTimeout(resolve, pageConfig.renderingDelay));
-    }
-
-    console.log(`Taking screenshot...`);
-    await page.screenshot({
-      path,
-      type: 'png',
-      captureBeyondViewport: false,
-      clip: {
-        x: 0,
-        y: 0,
-        ...size
-      }
-    });
-
-    console.log(`Successfully rendered screenshot for ${url}`);
+    page = reuseTab
+      ? await tabPool.acquireAsync(browser, tabKey)
+      : await browser.newPage();
+    // a page which hangs is closed, so it doesn't block the others
+    const readiness = await withTimeoutAsync(
+      renderInTabAsync(
+        page,
+        pageConfig,
+        templateFile ? pathToFileURL(templateFile).href : url,
+        path,
+        progress
+      ),
+      config.pageRenderTimeout,
+      () => page.close()
+    );
+    keepTab = reuseTab;
+    return readiness;
   } catch (e) {
-    console.error(`Failed to render ${url}:`, e.message);
+    let pageUrl = null;
+    try {
+      pageUrl = page && !page.isClosed() ? page.url() : null;
+    } catch (_) {}
+    const renderError = toRenderError(e, progress.stage, pageUrl);
+    console.error(`Failed to render ${url}:`, renderError.message);
+    throw renderError;
   } finally {
-    if (config.debug === false && page) {
+    if (templateFile) {
+      await fs.unlink(templateFile).catch(() => {});
+    }
+    if (keepTab) {
+      tabPool.release(browser, tabKey, page);
+    } else if (config.debug === false && page && !page.isClosed()) {
       try {
         await page.close();
       } catch (closeErr) {
@@ -525,55 +2276,165 @@ async function renderUrlToImageAsync(browser, pageConfig, url, path) {
   }
 }
 
-async function convertImageToKindleCompatiblePngAsync(
-  pageConfig,
-  inputPath,
-  outputPath
-) {
-  let image = sharp(inputPath);
+// Fills the page's template with the current states and writes it to a
+// temporary file for the browser to open, see templates.js
+async function writeTemplatePageAsync(pageConfig) {
+  let accessToken;
+  try {
+    accessToken = await getHaInstance(pageConfig).auth.getAccessTokenAsync();
+  } catch (e) {
+    e.name = "AuthError";
+    throw e;
+  }
+  const html = await renderTemplatePageAsync(pageConfig, {
+    configDir: CONFIG_DIR,
+    accessToken,
+    timezone: config.timezone,
+    language: config.language,
+    rejectUnauthorized: !config.ignoreCertificateErrors
+  });
+  const templateFile = path.join(
+    os.tmpdir(),
+    `template-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.html`
+  );
+  await fs.writeFile(templateFile, html);
+  return templateFile;
+}
+
+// Size of the page's screenshots, which are rotated by its filters
+function getViewportSize(pageConfig) {
+  const width = Number(pageConfig.renderingScreenSize.width);
+  const height = Number(pageConfig.renderingScreenSize.height);
+  return pageConfig.rotation % 180 > 0 ? { width: height, height: width } : { width, height };
+}
 
-  if (pageConfig.removeGamma) {
-    image = image.gamma(1.0 / 2.2);
+// Navigates the tab to url and writes the screenshot to path. Warm tabs are
+// navigated again, which reloads them with the current state.
+async function renderInTabAsync(page, pageConfig, url, path, progress) {
+  // Add console logging in debug mode
+  if (config.debug) {
+    page.on('console', msg => console.log(`[BROWSER] ${msg.type().toUpperCase()}: ${msg.text()}`));
+    page.on('pageerror', err => console.error(`[PAGE ERROR] ${err.message}`));
+    page.on('requestfailed', request => console.warn(`[REQUEST FAILED] ${request.url()}: ${request.failure().errorText}`));
+    console.log(`[DEBUG] Browser viewport will be: ${pageConfig.renderingScreenSize.width}x${pageConfig.renderingScreenSize.height}`);
+    console.log(`[DEBUG] Timezone: ${config.timezone}, Language: ${config.language}`);
   }
 
-  const rotation = Number(pageConfig.rotation);
-  if (rotation !== 0) {
-    image = image.rotate(rotation, { background: '#ffffff' });
+  await page.emulateTimezone(config.timezone);
+
+  await page.emulateMediaFeatures([
+    {
+      name: "prefers-color-scheme",
+      value: `${pageConfig.prefersColorScheme}`
+    }
+  ]);
+
+  const size = getViewportSize(pageConfig);
+  await page.setViewport(size);
+
+  console.log(`Navigating to ${url}...`);
+  await page.goto(url, {
+    waitUntil: ["domcontentloaded", "load", "networkidle2"],
+    timeout: config.renderingTimeout
+  });
+
+  // other pages rely on their readiness strategies only
+  const isHomeAssistant = !isExternalPage(pageConfig);
+  if (isHomeAssistant) {
+    progress.stage = "wait";
+    console.log(`Waiting for home-assistant element...`);
+    await page.waitForSelector(`home-assistant, ${LOGIN_PAGE_SELECTOR}`, {
+      timeout: config.renderingTimeout
+    });
+    if (await isLoginPageAsync(page)) {
+      throw createAuthError();
+    }
   }
 
-  if (pageConfig.colorMode === 'GrayScale' || pageConfig.colorMode === 'Grayscale') {
-    image = image.grayscale();
+  // In debug mode, show additional page information
+  if (config.debug) {
+    const pageInfo = await page.evaluate(() => {
+      return {
+        url: window.location.href,
+        title: document.title,
+        userAgent: navigator.userAgent,
+        language: navigator.language,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        hasHomeAssistant: !!document.querySelector('home-assistant'),
+        hasLovelace: !!document.querySelector('hui-view, hui-panel-view'),
+        themeInfo: {
+          selectedTheme: localStorage.getItem('selectedTheme'),
+          hasTokens: !!localStorage.getItem('hassTokens')
+        }
+      };
+    });
+    console.log(`[DEBUG] Page info:`, JSON.stringify(pageInfo, null, 2));
   }
 
-  if (pageConfig.saturation !== 1) {
-    image = image.modulate({ saturation: pageConfig.saturation });
+  await page.addStyleTag({
+    content: `
+      body {
+        zoom: ${pageConfig.scaling * 100}%;
+        overflow: hidden;
+      }`
+  });
+
+  progress.stage = "ready";
+  console.log(`Waiting until page is ready (${pageConfig.readinessStrategies.join(", ")})...`);
+  const readiness = await waitUntilReadyAsync(page, pageConfig);
+  console.log(`Page readiness: ${formatReadiness(readiness)}`);
+  // the frontend redirects to the login page once it notices the tokens
+  // are invalid, which may happen after the dashboard started loading
+  if (isHomeAssistant && (await isLoginPageAsync(page))) {
+    throw createAuthError();
   }
 
-  if (pageConfig.contrast !== 1) {
-    image = image.linear(pageConfig.contrast, -(128 * pageConfig.contrast) + 128);
+  if (pageConfig.captureSelectors.length > 0) {
+    progress.stage = "capture";
+    console.log(`Capturing ${pageConfig.captureSelectors.join(", ")}...`);
+    const captures = await captureElementsAsync(
+      page,
+      pageConfig.captureSelectors,
+      config.renderingTimeout
+    );
+    await fs.writeFile(
+      path,
+      await composeCapturesAsync(captures, {
+        ...size,
+        fit: pageConfig.captureFit,
+        layout: pageConfig.captureLayout
+      })
+    );
+    console.log(`Successfully captured elements of ${url}`);
+    return readiness;
   }
 
-  if (pageConfig.blackLevel !== '0%' || pageConfig.whiteLevel !== '100%') {
-    const blackLevel = parseInt(pageConfig.blackLevel) / 100;
-    const whiteLevel = parseInt(pageConfig.whiteLevel) / 100;
-    if (blackLevel > 0 || whiteLevel < 1) {
-      const inputMin = Math.round(blackLevel * 255);
-      const inputMax = Math.round(whiteLevel * 255);
-      const multiplier = 255 / (inputMax - inputMin);
-      const offset = -inputMin * multiplier;
-      image = image.linear(multiplier, offset);
+  progress.stage = "screenshot";
+  console.log(`Taking screenshot...`);
+  await page.screenshot({
+    path,
+    type: 'png',
+    captureBeyondViewport: false,
+    clip: {
+      x: 0,
+      y: 0,
+      ...size
     }
-  }
+  });
 
-  if (pageConfig.dither) {
-    image = image.sharpen({ sigma: 0.5 });
-  }
+  console.log(`Successfully rendered screenshot for ${url}`);
+  return readiness;
+}
 
-  if (pageConfig.colorMode === 'GrayScale' || pageConfig.colorMode === 'Grayscale') {
-    image = image.toColorspace('b-w').png({ compressionLevel: 9, palette: false });
-  } else {
-    image = image.png({ compressionLevel: 9 });
+async function convertImageToKindleCompatiblePngAsync(
+  pageConfig,
+  input,
+  outputPath
+) {
+  const image = await applyFiltersAsync(pageConfig, input);
+  const encoded = await quantizeAndEncodeImageAsync(pageConfig, image);
+  if (outputPath) {
+    await fs.writeFile(outputPath, encoded);
   }
-
-  await image.toFile(outputPath);
+  return encoded;
 }
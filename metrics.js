@@ -0,0 +1,134 @@
+// Minimal Prometheus metrics in the text exposition format, see
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  // Values are stored per label combination, keyed by the formatted labels
+  const define = (type, name, help, extra = {}) => {
+    const metric = { type, name, help, values: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  };
+
+  const getEntry = (metric, labels, create) => {
+    const key = formatLabels(labels);
+    if (!metric.values.has(key)) {
+      metric.values.set(key, { labels, ...create() });
+    }
+    return metric.values.get(key);
+  };
+
+  return {
+    counter(name, help) {
+      const metric = define("counter", name, help);
+      return {
+        inc(labels = {}, value = 1) {
+          getEntry(metric, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    gauge(name, help) {
+      const metric = define("gauge", name, help);
+      return {
+        set(labels, value) {
+          getEntry(metric, labels, () => ({ value: 0 })).value = value;
+        },
+        // gauges which are set by a collector start from scratch on every
+        // scrape, so labels which disappeared aren't reported anymore
+        reset() {
+          metric.values.clear();
+        }
+      };
+    },
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const metric = define("histogram", name, help, { buckets });
+      const histogram = {
+        observe(labels, value) {
+          const entry = getEntry(metric, labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0
+          }));
+          buckets.forEach((bucket, i) => {
+            if (value <= bucket) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+        // Runs fn and observes how many seconds it took, also if it fails
+        async timeAsync(labels, fn) {
+          const start = process.hrtime.bigint();
+          let result = "success";
+          try {
+            return await fn();
+          } catch (e) {
+            result = "failure";
+            throw e;
+          } finally {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            histogram.observe({ ...labels, result }, seconds);
+          }
+        }
+      };
+      return histogram;
+    },
+
+    // Collectors update gauges from the current state right before a scrape
+    addCollector(collect) {
+      collectors.push(collect);
+    },
+
+    async renderAsync() {
+      for (const collect of collectors) {
+        await collect();
+      }
+
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const entry of metric.values.values()) {
+          if (metric.type !== "histogram") {
+            lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+            continue;
+          }
+          metric.buckets.forEach((bucket, i) => {
+            lines.push(
+              `${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bucket) })} ${entry.counts[i]}`
+            );
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    }
+  };
+}
+
+module.exports = {
+  createMetricsRegistry
+};
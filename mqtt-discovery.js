@@ -0,0 +1,194 @@
+// Publishes the state of each device to an MQTT broker and announces it to
+// Home Assistant through MQTT discovery, so no webhook or template sensors
+// need to be set up, see https://www.home-assistant.io/integrations/mqtt/
+const mqtt = require("mqtt");
+
+const NODE_ID = "kindle_screensaver";
+
+// Entities of each device, all of them read from its state topic except for
+// the button, which publishes to its render topic
+const DEVICE_ENTITIES = [
+  {
+    key: "battery",
+    component: "sensor",
+    name: "Battery",
+    device_class: "battery",
+    state_class: "measurement",
+    unit_of_measurement: "%",
+    value_template: "{{ value_json.battery_level }}"
+  },
+  {
+    key: "charging",
+    component: "binary_sensor",
+    name: "Charging",
+    device_class: "battery_charging",
+    value_template: "{{ 'ON' if value_json.charging else 'OFF' }}"
+  },
+  {
+    key: "last_seen",
+    component: "sensor",
+    name: "Last seen",
+    device_class: "timestamp",
+    entity_category: "diagnostic",
+    value_template: "{{ value_json.last_seen }}"
+  },
+  {
+    key: "render_status",
+    component: "sensor",
+    name: "Last render status",
+    entity_category: "diagnostic",
+    value_template: "{{ value_json.render_status }}"
+  },
+  {
+    key: "render_duration",
+    component: "sensor",
+    name: "Render duration",
+    device_class: "duration",
+    state_class: "measurement",
+    unit_of_measurement: "s",
+    entity_category: "diagnostic",
+    value_template: "{{ value_json.render_duration }}"
+  },
+  {
+    key: "render",
+    component: "button",
+    name: "Render"
+  }
+];
+
+// Discovery only allows these characters in ids
+function getObjectId(deviceId) {
+  return deviceId.replace(/[^A-Za-z0-9_-]/g, "_");
+}
+
+function getDeviceTopics(topicPrefix, deviceId) {
+  const objectId = getObjectId(deviceId);
+  return {
+    state: `${topicPrefix}/${objectId}/state`,
+    render: `${topicPrefix}/${objectId}/render`
+  };
+}
+
+// Retained discovery messages for the entities of a device
+function getDiscoveryMessages(deviceId, { topicPrefix, discoveryPrefix }) {
+  const objectId = getObjectId(deviceId);
+  const topics = getDeviceTopics(topicPrefix, deviceId);
+  return DEVICE_ENTITIES.map(({ key, component, ...entity }) => ({
+    topic: `${discoveryPrefix}/${component}/${NODE_ID}/${objectId}_${key}/config`,
+    payload: {
+      ...entity,
+      unique_id: `${NODE_ID}_${objectId}_${key}`,
+      ...(component === "button"
+        ? { command_topic: topics.render }
+        : { state_topic: topics.state }),
+      availability_topic: `${topicPrefix}/status`,
+      device: {
+        identifiers: [`${NODE_ID}_${objectId}`],
+        name: deviceId,
+        manufacturer: "Amazon",
+        model: "Kindle"
+      }
+    }
+  }));
+}
+
+// Connects to the broker and returns an object with `publishDevice(deviceId,
+// state)` and `close()`. `getDevices()` returns the states of all known
+// devices by id, which are announced again whenever the connection or Home
+// Assistant restarts. `onRenderCommand(pages)` is called with the payload of
+// the render topic (page numbers or names, empty for all pages) and
+// `onDeviceRenderCommand(deviceId)` when the button of a device is pressed.
+function createMqttPublisher({
+  url,
+  username,
+  password,
+  topicPrefix,
+  discoveryPrefix,
+  rejectUnauthorized = true,
+  getDevices,
+  onRenderCommand,
+  onDeviceRenderCommand
+}) {
+  const statusTopic = `${topicPrefix}/status`;
+  const renderTopic = `${topicPrefix}/render`;
+  const haStatusTopic = `${discoveryPrefix}/status`;
+  const announcedDevices = new Set();
+  // devices by object id, to find the device of a render topic
+  const deviceIds = new Map();
+
+  const client = mqtt.connect(url, {
+    username: username || undefined,
+    password: password || undefined,
+    rejectUnauthorized,
+    will: { topic: statusTopic, payload: "offline", retain: true }
+  });
+
+  const publish = (topic, payload) =>
+    client.publish(topic, typeof payload === "string" ? payload : JSON.stringify(payload), {
+      retain: true
+    });
+
+  const publishDevice = (deviceId, state) => {
+    if (!announcedDevices.has(deviceId)) {
+      for (const message of getDiscoveryMessages(deviceId, { topicPrefix, discoveryPrefix })) {
+        publish(message.topic, message.payload);
+      }
+      announcedDevices.add(deviceId);
+      deviceIds.set(getObjectId(deviceId), deviceId);
+    }
+    publish(getDeviceTopics(topicPrefix, deviceId).state, state);
+  };
+
+  const announceAll = () => {
+    announcedDevices.clear();
+    for (const [deviceId, state] of Object.entries(getDevices())) {
+      publishDevice(deviceId, state);
+    }
+  };
+
+  client.on("connect", () => {
+    console.log(`Connected to MQTT broker at ${url}`);
+    publish(statusTopic, "online");
+    client.subscribe([renderTopic, `${topicPrefix}/+/render`, haStatusTopic], (e) => {
+      if (e) console.error(`MQTT subscription failed: ${e.message}`);
+    });
+    announceAll();
+  });
+
+  client.on("message", (topic, message) => {
+    const payload = message.toString().trim();
+    if (topic === haStatusTopic) {
+      // Home Assistant forgets entities which weren't announced since it
+      // started, unless the discovery messages were retained by the broker
+      if (payload === "online") announceAll();
+      return;
+    }
+    if (topic === renderTopic) {
+      onRenderCommand(payload);
+      return;
+    }
+    const match = topic.match(/^(.*)\/([^/]+)\/render$/);
+    if (match && match[1] === topicPrefix && deviceIds.has(match[2])) {
+      onDeviceRenderCommand(deviceIds.get(match[2]));
+    }
+  });
+
+  client.on("error", (e) => {
+    console.error(`MQTT error: ${e.message}`);
+  });
+
+  return {
+    publishDevice,
+
+    close() {
+      publish(statusTopic, "offline");
+      client.end();
+    }
+  };
+}
+
+module.exports = {
+  getObjectId,
+  getDiscoveryMessages,
+  createMqttPublisher
+};
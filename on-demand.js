@@ -0,0 +1,148 @@
+// Helpers for rendering arbitrary dashboards on request via /render
+const { IMAGE_FORMATS } = require("./encoders");
+
+const MAX_SCREEN_SIZE = 4096;
+
+// Builds the page config for a /render request. Settings which aren't part of
+// the query are inherited from the page given by `page` (defaults to 1).
+// Returns either `{ pageConfig, cacheKey }` or `{ error }`.
+function parseRenderRequest(url, pages) {
+  const params = url.searchParams;
+
+  const pageNumber = params.has("page") ? parseIntegerParam(params.get("page")) : 1;
+  if (!isFinite(pageNumber) || pageNumber < 1 || pageNumber > pages.length) {
+    return { error: `Invalid page: ${params.get("page")}` };
+  }
+  const basePage = pages[pageNumber - 1];
+
+  const screenShotUrl = params.has("path")
+    ? params.get("path")
+    : basePage.screenShotUrl;
+  // Only allow paths, anything else could point the browser to another host
+  if (params.has("path") && (!screenShotUrl.startsWith("/") || !basePage.baseUrl)) {
+    return { error: `Invalid path: ${screenShotUrl}` };
+  }
+
+  const width = params.has("width")
+    ? parseIntegerParam(params.get("width"))
+    : Number(basePage.renderingScreenSize.width);
+  const height = params.has("height")
+    ? parseIntegerParam(params.get("height"))
+    : Number(basePage.renderingScreenSize.height);
+  if (!isValidScreenSize(width)) {
+    return { error: `Invalid width: ${params.get("width")}` };
+  }
+  if (!isValidScreenSize(height)) {
+    return { error: `Invalid height: ${params.get("height")}` };
+  }
+
+  const rotation = params.has("rotation")
+    ? parseIntegerParam(params.get("rotation"))
+    : basePage.rotation;
+  if (!isFinite(rotation) || rotation % 90 !== 0) {
+    return { error: `Invalid rotation: ${params.get("rotation")}` };
+  }
+
+  const imageFormat = params.has("format")
+    ? params.get("format")
+    : basePage.imageFormat;
+  if (!IMAGE_FORMATS.includes(imageFormat)) {
+    return { error: `Invalid format: ${imageFormat}` };
+  }
+
+  const pageConfig = {
+    ...basePage,
+    screenShotUrl,
+    renderingScreenSize: { width, height },
+    rotation,
+    imageFormat
+  };
+  const cacheKey = [
+    pageNumber,
+    screenShotUrl,
+    width,
+    height,
+    rotation,
+    imageFormat
+  ].join("|");
+
+  return { pageConfig, cacheKey };
+}
+
+// Only plain digits, as parseInt would accept values like 800px, which
+// would also be cached separately from 800
+function parseIntegerParam(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+function isValidScreenSize(value) {
+  return isFinite(value) && value > 0 && value <= MAX_SCREEN_SIZE;
+}
+
+// Runs at most `concurrency` tasks at once, the others wait in line
+function createLimiter(concurrency) {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    running++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+// Keeps the most recent renders in memory for `ttl` milliseconds. Concurrent
+// requests for the same key share one render instead of starting their own.
+function createRenderCache(ttl, maxEntries) {
+  const entries = new Map();
+  const pending = new Map();
+
+  return async function getOrRender(key, render) {
+    const cached = entries.get(key);
+    if (cached && Date.now() - cached.createdAt < ttl) {
+      return { ...cached, cacheHit: true };
+    }
+    entries.delete(key);
+
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const entry = { data: await render(), createdAt: Date.now() };
+        if (ttl > 0 && maxEntries > 0) {
+          entries.set(key, entry);
+          // Map keeps insertion order, so the first key is the oldest one
+          while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+          }
+        }
+        return { ...entry, cacheHit: false };
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return promise;
+  };
+}
+
+module.exports = {
+  parseRenderRequest,
+  createLimiter,
+  createRenderCache
+};
@@ -0,0 +1,124 @@
+// Status overlay which is drawn onto images when they're served: battery
+// level of the requesting device, time of the last change and a banner if
+// the image is stale because rendering failed or didn't happen for a while
+const sharp = require("sharp");
+const { escapeXml, formatTime, estimateTextWidth } = require("./svg-text");
+
+const OVERLAY_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+
+function isOverlayEnabled(pageConfig) {
+  return (
+    pageConfig.overlayBattery ||
+    pageConfig.overlayTimestamp ||
+    pageConfig.overlayStaleBanner
+  );
+}
+
+function createBatteryIcon(x, y, size, batteryLevel, isCharging) {
+  const width = size * 1.8;
+  const height = size;
+  const border = Math.max(1, Math.round(size / 10));
+  const fillWidth = ((width - 4 * border) * Math.max(0, Math.min(100, batteryLevel))) / 100;
+  let icon = `
+    <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="white" stroke="black" stroke-width="${border}"/>
+    <rect x="${x + width}" y="${y + height / 4}" width="${border * 2}" height="${height / 2}" fill="black"/>
+    <rect x="${x + 2 * border}" y="${y + 2 * border}" width="${fillWidth}" height="${height - 4 * border}" fill="black"/>`;
+  if (isCharging) {
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const s = height / 2;
+    icon += `
+    <polygon points="${cx + s * 0.2},${cy - s * 0.9} ${cx - s * 0.5},${cy + s * 0.15} ${cx},${cy + s * 0.15} ${cx - s * 0.2},${cy + s * 0.9} ${cx + s * 0.5},${cy - s * 0.15} ${cx},${cy - s * 0.15}" fill="white" stroke="black" stroke-width="${border}"/>`;
+  }
+  return { svg: icon, width: width + border * 2 };
+}
+
+// Returns the overlay as SVG in the orientation of the rendered dashboard,
+// i.e. before the image is rotated for the device
+function createOverlaySvg(pageConfig, { width, height, battery, updatedAt, stale }, timezone) {
+  const fontSize = pageConfig.overlayFontSize;
+  const font = escapeXml(pageConfig.overlayFont);
+  const padding = Math.round(fontSize / 2);
+  const boxHeight = fontSize + padding * 2;
+  const [vertical, horizontal] = pageConfig.overlayPosition.split("-");
+
+  const items = [];
+  if (pageConfig.overlayBattery && battery && battery.batteryLevel !== null && battery.batteryLevel !== undefined) {
+    items.push({ type: "battery", text: `${battery.batteryLevel}%` });
+  }
+  if (pageConfig.overlayTimestamp && updatedAt) {
+    items.push({ type: "text", text: formatTime(updatedAt, timezone) });
+  }
+
+  const batteryIconWidth = fontSize * 1.8 + Math.max(1, Math.round(fontSize / 10)) * 2;
+  const contentWidth = items.reduce(
+    (sum, item) =>
+      sum +
+      estimateTextWidth(item.text, fontSize) +
+      (item.type === "battery" ? batteryIconWidth + padding / 2 : 0),
+    Math.max(0, items.length - 1) * padding
+  );
+
+  let svg = "";
+  if (items.length > 0) {
+    const boxWidth = contentWidth + padding * 2;
+    const boxX = horizontal === "left" ? 0 : width - boxWidth;
+    const boxY = vertical === "top" ? 0 : height - boxHeight;
+    svg += `<rect x="${boxX}" y="${boxY}" width="${boxWidth}" height="${boxHeight}" fill="white" stroke="black" stroke-width="1"/>`;
+
+    let x = boxX + padding;
+    const textY = boxY + padding + fontSize * 0.85;
+    for (const item of items) {
+      if (item.type === "battery") {
+        const icon = createBatteryIcon(x, boxY + padding, fontSize, battery.batteryLevel, battery.isCharging);
+        svg += icon.svg;
+        x += icon.width + padding / 2;
+      }
+      svg += `<text x="${x}" y="${textY}" font-family="${font}" font-size="${fontSize}" fill="black">${escapeXml(item.text)}</text>`;
+      x += estimateTextWidth(item.text, fontSize) + padding;
+    }
+  }
+
+  if (pageConfig.overlayStaleBanner && stale) {
+    // put the banner on the opposite edge of the status box
+    const bannerHeight = Math.round(fontSize * 1.5) + padding * 2;
+    const bannerY = vertical === "top" ? height - bannerHeight : 0;
+    const message = stale.since
+      ? `Data stale since ${formatTime(stale.since, timezone)}: ${stale.reason}`
+      : `Data stale: ${stale.reason}`;
+    svg += `<rect x="0" y="${bannerY}" width="${width}" height="${bannerHeight}" fill="black"/>`;
+    svg += `<text x="${width / 2}" y="${bannerY + padding + fontSize * 1.25}" text-anchor="middle" font-family="${font}" font-size="${Math.round(fontSize * 1.5)}" font-weight="bold" fill="white">${escapeXml(message)}</text>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${svg}</svg>`;
+}
+
+// Draws the overlay onto raw pixels as returned by the conversion pipeline
+// (before quantization) and returns new raw pixels of the same format
+async function applyOverlayAsync(pageConfig, { data, info }, state, timezone) {
+  const rotation = Number(pageConfig.rotation);
+  const swap = rotation % 180 !== 0;
+  const width = swap ? info.height : info.width;
+  const height = swap ? info.width : info.height;
+
+  const overlay = await sharp(
+    Buffer.from(createOverlaySvg(pageConfig, { ...state, width, height }, timezone))
+  )
+    .rotate(rotation)
+    .png()
+    .toBuffer();
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .composite([{ input: overlay }])
+    .flatten({ background: "#ffffff" })
+    .toColorspace(info.channels === 1 ? "b-w" : "srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+module.exports = {
+  OVERLAY_POSITIONS,
+  isOverlayEnabled,
+  createOverlaySvg,
+  applyOverlayAsync
+};
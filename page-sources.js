@@ -0,0 +1,56 @@
+// Where pages are rendered from: a Home Assistant instance, which the browser
+// is logged in to, a template filled with its states (see templates.js) or
+// any other URL such as a Grafana panel or a static HTML file, which is
+// rendered as is
+const { isTemplateUrl } = require("./templates");
+
+const EXTERNAL_URL_PATTERN = /^(https?|file):\/\//i;
+
+// "home-assistant", "template" or "url"
+function getPageSource(pageConfig) {
+  if (isTemplateUrl(pageConfig.screenShotUrl)) {
+    return "template";
+  }
+  return EXTERNAL_URL_PATTERN.test(pageConfig.screenShotUrl) ? "url" : "home-assistant";
+}
+
+// Pages which aren't rendered by Home Assistant's frontend, so the browser
+// neither needs to log in nor wait for the frontend
+function isExternalPage(pageConfig) {
+  return getPageSource(pageConfig) !== "home-assistant";
+}
+
+// Whether the page needs the credentials of its Home Assistant instance
+function usesHaInstance(pageConfig) {
+  return getPageSource(pageConfig) !== "url";
+}
+
+function getPageUrl(pageConfig) {
+  return isExternalPage(pageConfig)
+    ? pageConfig.screenShotUrl
+    : `${pageConfig.baseUrl}${pageConfig.screenShotUrl}`;
+}
+
+// Pages of one instance share its login, see config.js for how they get
+// their baseUrl and credentials
+function getInstanceKey(pageConfig) {
+  return pageConfig.baseUrl;
+}
+
+function getInstanceCredentials(pageConfig) {
+  return {
+    accessToken: pageConfig.accessToken,
+    username: pageConfig.username,
+    password: pageConfig.password,
+    trustedNetworkUser: pageConfig.trustedNetworkUser
+  };
+}
+
+module.exports = {
+  getPageSource,
+  isExternalPage,
+  usesHaInstance,
+  getPageUrl,
+  getInstanceKey,
+  getInstanceCredentials
+};
@@ -0,0 +1,92 @@
+// Playlists, which show several pages on a device in turn, so devices fetch
+// /device/<name> instead of cycling through page numbers themselves. The
+// server keeps track of the entry each device shows.
+const { isInTimeRanges } = require("./schedule");
+
+// in seconds
+const DEFAULT_DWELL = 300;
+
+// `{ entity, state }` matches one of the given states, `{ entity, above,
+// below }` a numeric state within the bounds. Unknown entities don't match.
+function matchesCondition(condition, state) {
+  if (state === null || state === undefined) {
+    return false;
+  }
+  if (condition.state !== null && !condition.state.includes(state)) {
+    return false;
+  }
+  if (condition.above !== null || condition.below !== null) {
+    const value = Number(state);
+    if (state === "" || isNaN(value)) {
+      return false;
+    }
+    if (condition.above !== null && !(value > condition.above)) return false;
+    if (condition.below !== null && !(value < condition.below)) return false;
+  }
+  return true;
+}
+
+// Whether an entry may be shown now: within its hours, if any, and with all
+// of its conditions met. `getStateAsync(entry, entityId)` returns the
+// current state of an entity, or null if it's unknown.
+async function isEntryActiveAsync(entry, now, timezone, getStateAsync) {
+  if (entry.hours && !isInTimeRanges(entry.hours, now, timezone)) {
+    return false;
+  }
+  const states = await Promise.all(
+    entry.when.map((condition) => getStateAsync(entry, condition.entity))
+  );
+  return entry.when.every((condition, i) => matchesCondition(condition, states[i]));
+}
+
+// Picks the entry to show given the device's last `position` (`{ entry,
+// since }` or null). A device stays on an active entry for its dwell time,
+// then moves on to the next active one. If no entry is active, the first one
+// is shown.
+function getNextPosition(playlist, activeEntries, position, now) {
+  const current =
+    position && position.entry < playlist.length && activeEntries[position.entry]
+      ? position.entry
+      : null;
+  if (current !== null && now - new Date(position.since) < playlist[current].dwell * 1000) {
+    return { entry: current, since: position.since, changed: false };
+  }
+
+  const start = position && position.entry < playlist.length ? position.entry + 1 : 0;
+  for (let i = 0; i < playlist.length; i++) {
+    const entry = (start + i) % playlist.length;
+    if (activeEntries[entry]) {
+      return {
+        entry,
+        since: now.toISOString(),
+        changed: !position || position.entry !== entry
+      };
+    }
+  }
+  const unchanged = position && position.entry === 0;
+  return {
+    entry: 0,
+    since: unchanged ? position.since : now.toISOString(),
+    changed: !unchanged
+  };
+}
+
+// The device polls again when its dwell time is up, unless its battery is
+// low, and switching to another page clears its ghosting with a full refresh
+function applyPlaylistDirectives(directives, playlist, position, now) {
+  const dwellEnd = new Date(position.since).getTime() + playlist[position.entry].dwell * 1000;
+  const remaining = Math.max(1, Math.ceil((dwellEnd - now) / 1000));
+  return {
+    ...directives,
+    nextPoll: directives.lowBattery ? directives.nextPoll : Math.min(directives.nextPoll, remaining),
+    refresh: position.changed ? "full" : directives.refresh
+  };
+}
+
+module.exports = {
+  DEFAULT_DWELL,
+  matchesCondition,
+  isEntryActiveAsync,
+  getNextPosition,
+  applyPlaylistDirectives
+};
@@ -0,0 +1,110 @@
+// Strategies to tell when a dashboard finished loading, so the screenshot is
+// neither taken too early nor after waiting longer than necessary
+const READINESS_STRATEGIES = ["delay", "cards", "stable", "selector", "function"];
+
+// Runs in the browser: whether all Lovelace cards finished loading, i.e. no
+// spinners are shown, all images are decoded and all fonts are loaded
+function areCardsLoaded() {
+  const elements = [];
+  const collect = (root) => {
+    for (const element of root.querySelectorAll("*")) {
+      elements.push(element);
+      if (element.shadowRoot) collect(element.shadowRoot);
+    }
+  };
+  collect(document);
+
+  const spinners = ["ha-circular-progress", "ha-spinner", "mwc-circular-progress", "paper-spinner"];
+  return (
+    document.fonts.status === "loaded" &&
+    elements.some((element) => element.localName === "hui-view" || element.localName === "hui-panel-view") &&
+    !elements.some(
+      (element) =>
+        spinners.includes(element.localName) &&
+        element.getClientRects().length > 0
+    ) &&
+    elements
+      .filter((element) => element.localName === "img")
+      .every((image) => image.complete && (image.naturalWidth > 0 || !image.currentSrc))
+  );
+}
+
+// Runs in the browser: whether the DOM, including shadow roots, didn't change
+// for stableTime ms. Keeps its state on window between calls.
+function isDomStable(stableTime) {
+  let signature = "";
+  const collect = (root) => {
+    for (const element of root.querySelectorAll("*")) {
+      signature += element.localName;
+      if (element.children.length === 0) signature += element.textContent;
+      if (element.shadowRoot) collect(element.shadowRoot);
+    }
+  };
+  collect(document);
+
+  const now = Date.now();
+  const state = window.__kindleDomStability;
+  if (!state || state.signature !== signature) {
+    window.__kindleDomStability = { signature, since: now };
+    return false;
+  }
+  return now - state.since >= stableTime;
+}
+
+async function waitForStrategyAsync(page, pageConfig, strategy) {
+  const timeout = pageConfig.readinessTimeout;
+  switch (strategy) {
+    case "delay":
+      if (pageConfig.renderingDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, pageConfig.renderingDelay));
+      }
+      return;
+    case "cards":
+      await page.waitForFunction(areCardsLoaded, { timeout, polling: 250 });
+      return;
+    case "stable":
+      await page.waitForFunction(isDomStable, { timeout, polling: 100 }, pageConfig.readinessStableTime);
+      return;
+    case "selector":
+      await page.waitForSelector(pageConfig.readinessSelector, { timeout });
+      return;
+    case "function":
+      await page.waitForFunction(pageConfig.readinessFunction, { timeout, polling: 250 });
+      return;
+    default:
+      throw new Error(`Unknown readiness strategy ${strategy}`);
+  }
+}
+
+// Waits for each of the page's strategies in order. A strategy which times out
+// doesn't fail rendering, the screenshot is taken anyway. Returns how long
+// each strategy took and whether it succeeded.
+async function waitUntilReadyAsync(page, pageConfig) {
+  const results = [];
+  for (const strategy of pageConfig.readinessStrategies) {
+    const start = Date.now();
+    let ready = true;
+    try {
+      await waitForStrategyAsync(page, pageConfig, strategy);
+    } catch (e) {
+      if (e.name !== "TimeoutError") throw e;
+      ready = false;
+    }
+    results.push({ strategy, ready, duration: Date.now() - start });
+  }
+  return results;
+}
+
+function formatReadiness(results) {
+  return results
+    .map(({ strategy, ready, duration }) =>
+      `${strategy} ${ready ? "succeeded" : "timed out"} after ${duration}ms`
+    )
+    .join(", ");
+}
+
+module.exports = {
+  READINESS_STRATEGIES,
+  waitUntilReadyAsync,
+  formatReadiness
+};
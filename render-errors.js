@@ -0,0 +1,74 @@
+const { isLoginPageUrl } = require("./ha-auth");
+
+// Classifies why rendering a page failed, so the reason can be shown on the
+// device instead of silently serving an outdated image
+
+const FAILURE_REASONS = {
+  auth: "Authentication failed",
+  unreachable: "Home Assistant unreachable",
+  timeout: "Timed out",
+  selector: "Dashboard did not load",
+  element: "Element not found",
+  template: "Template failed",
+  unknown: "Rendering failed"
+};
+
+// network errors of requests to Home Assistant's REST API
+const UNREACHABLE_CODES = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EHOSTUNREACH", "ETIMEDOUT"];
+
+// `stage` is the step which failed (template, navigate, wait, capture,
+// screenshot) and `pageUrl` the URL the browser ended up at, if any
+function classifyRenderError(error, stage, pageUrl) {
+  if ((error && error.name === "AuthError") || isLoginPageUrl(pageUrl)) {
+    return "auth";
+  }
+  const message = String(error && error.message);
+  if (stage === "template") {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return "auth";
+    }
+    if (UNREACHABLE_CODES.includes(error.code) || /timed out/.test(message)) {
+      return "unreachable";
+    }
+    return "template";
+  }
+  if (stage === "navigate" && /net::ERR_/.test(message)) {
+    return "unreachable";
+  }
+  if (stage === "capture") {
+    return "element";
+  }
+  if (error && error.name === "TimeoutError") {
+    return stage === "wait" ? "selector" : "timeout";
+  }
+  return "unknown";
+}
+
+// Adds the failure reason to the error, so callers can report it
+function toRenderError(error, stage, pageUrl) {
+  const reason = classifyRenderError(error, stage, pageUrl);
+  const renderError = new Error(`${FAILURE_REASONS[reason]}: ${error.message}`);
+  renderError.reason = reason;
+  renderError.description = FAILURE_REASONS[reason];
+  renderError.detail = error.message;
+  return renderError;
+}
+
+// Thrown if Home Assistant shows its login page instead of the dashboard
+function createAuthError() {
+  const error = new Error("Home Assistant showed its login page");
+  error.name = "AuthError";
+  return error;
+}
+
+function describeRenderError(error) {
+  return (error && error.description) || FAILURE_REASONS.unknown;
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  classifyRenderError,
+  toRenderError,
+  createAuthError,
+  describeRenderError
+};
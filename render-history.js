@@ -0,0 +1,189 @@
+// Archive of past renders per page, so what a page looked like at some point
+// can still be seen after the fact, e.g. to debug flaky cards or readiness
+// timing. Each page has a directory with an index of its renders and their
+// images and screenshots, each content stored only once.
+const crypto = require("crypto");
+const path = require("path");
+const { promises: fs } = require("fs");
+const fsExtra = require("fs-extra");
+const sharp = require("sharp");
+
+const HISTORY_VARIANTS = ["image", "screenshot"];
+
+// channels differing by less than this are considered unchanged, e.g.
+// dithering noise
+const DIFF_THRESHOLD = 16;
+
+function isHistoryEnabled(pageConfig) {
+  return pageConfig.historySize > 0 || pageConfig.historyMaxAge > 0 || pageConfig.historyMaxSize > 0;
+}
+
+function hashContent(data) {
+  return crypto.createHash("sha256").update(data).digest("hex").slice(0, 20);
+}
+
+// Keeps at most `historySize` renders, none older than `historyMaxAge`
+// hours and only as many as fit into `historyMaxSize` MB of the page's
+// settings, at least the latest one
+function pruneEntries(entries, { historySize, historyMaxAge, historyMaxSize }, now) {
+  let kept = entries;
+  if (historyMaxAge > 0) {
+    kept = kept.filter((entry) => now - new Date(entry.renderedAt) <= historyMaxAge * 3600 * 1000);
+  }
+  if (historySize > 0) {
+    kept = kept.slice(-historySize);
+  }
+  if (historyMaxSize > 0) {
+    while (kept.length > 1 && getTotalSize(kept) > historyMaxSize * 1024 * 1024) {
+      kept = kept.slice(1);
+    }
+  }
+  return kept.length > 0 ? kept : entries.slice(-1);
+}
+
+// Files shared by several renders count once
+function getTotalSize(entries) {
+  const sizes = new Map();
+  for (const entry of entries) {
+    for (const variant of HISTORY_VARIANTS) {
+      if (entry[variant]) sizes.set(entry[variant].file, entry[variant].size);
+    }
+  }
+  return [...sizes.values()].reduce((total, size) => total + size, 0);
+}
+
+// History of a page stored in dir. Renders are recorded with their metadata
+// and the page's image after the render as well as the screenshot it was
+// converted from, if any.
+function createRenderHistory(dir, pageConfig) {
+  const indexPath = path.join(dir, "index.json");
+  let entries = [];
+  // renders and uploads may finish at the same time, record them in turn
+  let recording = Promise.resolve();
+
+  const save = async () => {
+    const tempPath = indexPath + ".new";
+    await fs.writeFile(tempPath, JSON.stringify(entries, null, 2));
+    await fs.rename(tempPath, indexPath);
+  };
+
+  const storeAsync = async (data, extension) => {
+    if (!data) {
+      return null;
+    }
+    const file = `${hashContent(data)}.${extension}`;
+    const filePath = path.join(dir, file);
+    try {
+      await fs.access(filePath);
+    } catch {
+      await fs.writeFile(filePath, data);
+    }
+    return { file, size: data.length };
+  };
+
+  const record = async (metadata, { image, screenshot }) => {
+    await fsExtra.ensureDir(dir);
+    const now = new Date();
+    const entry = {
+      id: entries.length > 0 ? entries[entries.length - 1].id + 1 : 1,
+      renderedAt: now.toISOString(),
+      ...metadata,
+      image: await storeAsync(image, pageConfig.imageFormat),
+      screenshot: await storeAsync(screenshot, "png")
+    };
+    entries = pruneEntries([...entries, entry], pageConfig, now);
+    await save();
+
+    const referenced = new Set(
+      entries.flatMap((kept) => HISTORY_VARIANTS.map((variant) => kept[variant] && kept[variant].file))
+    );
+    for (const file of await fs.readdir(dir)) {
+      if (file !== "index.json" && !referenced.has(file)) {
+        await fs.unlink(path.join(dir, file)).catch(() => {});
+      }
+    }
+    return entry;
+  };
+
+  return {
+    async load() {
+      try {
+        entries = JSON.parse(await fs.readFile(indexPath, "utf8"));
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          console.error(`Could not load render history from ${indexPath}: ${e.message}`);
+        }
+        entries = [];
+      }
+    },
+
+    // oldest first
+    list() {
+      return entries;
+    },
+
+    get(id) {
+      return entries.find((entry) => entry.id === id) || null;
+    },
+
+    getFilePath(entry, variant) {
+      return entry[variant] ? path.join(dir, entry[variant].file) : null;
+    },
+
+    // `metadata` is e.g. `{ source, status, duration, error }`, `image` the
+    // encoded image and `screenshot` a PNG, both optional
+    recordAsync(metadata, files) {
+      const recorded = recording.then(() => record(metadata, files));
+      recording = recorded.catch(() => {});
+      return recorded;
+    }
+  };
+}
+
+function toRgbAsync(image) {
+  return image
+    .flatten({ background: "#ffffff" })
+    .toColorspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Highlights the pixels which differ between two images in red on a faded
+// copy of the second one. Images of different sizes are compared at the size
+// of the second one. Returns the PNG with the number of changed pixels.
+async function createDiffImageAsync(fromPath, toPath) {
+  const to = await toRgbAsync(sharp(toPath));
+  const { width, height } = to.info;
+  const from = await toRgbAsync(sharp(fromPath).resize(width, height, { fit: "fill" }));
+
+  const diff = Buffer.alloc(width * height * 3);
+  let changedPixels = 0;
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * 3;
+    let changed = false;
+    for (let channel = 0; channel < 3; channel++) {
+      if (Math.abs(from.data[offset + channel] - to.data[offset + channel]) >= DIFF_THRESHOLD) {
+        changed = true;
+      }
+    }
+    if (changed) {
+      changedPixels++;
+      diff[offset] = 255;
+      diff[offset + 1] = 0;
+      diff[offset + 2] = 0;
+    } else {
+      const gray = (to.data[offset] + to.data[offset + 1] + to.data[offset + 2]) / 3;
+      diff.fill(Math.round(160 + (gray * 95) / 255), offset, offset + 3);
+    }
+  }
+
+  const data = await sharp(diff, { raw: { width, height, channels: 3 } }).png().toBuffer();
+  return { data, changedPixels, totalPixels: width * height };
+}
+
+module.exports = {
+  HISTORY_VARIANTS,
+  isHistoryEnabled,
+  createRenderHistory,
+  createDiffImageAsync
+};
@@ -1,25 +1,13 @@
 #!/usr/bin/with-contenv bashio
 
-bashio::log.info "Loading config..."
-
-export HA_BASE_URL="$(bashio::config 'HA_BASE_URL')"
-export HA_SCREENSHOT_URL=$(bashio::config 'HA_SCREENSHOT_URL')
-export HA_ACCESS_TOKEN="$(bashio::config 'HA_ACCESS_TOKEN')"
-export LANGUAGE=$(bashio::config 'LANGUAGE')
-export CRON_JOB=$(bashio::config 'CRON_JOB')
-export RENDERING_TIMEOUT=$(bashio::config 'RENDERING_TIMEOUT')
-export RENDERING_DELAY=$(bashio::config 'RENDERING_DELAY')
-export RENDERING_SCREEN_HEIGHT=$(bashio::config 'RENDERING_SCREEN_HEIGHT')
-export RENDERING_SCREEN_WIDTH=$(bashio::config 'RENDERING_SCREEN_WIDTH')
-export BROWSER_LAUNCH_TIMEOUT=$(bashio::config 'BROWSER_LAUNCH_TIMEOUT')
-export ROTATION=$(bashio::config 'ROTATION')
-export SCALING=$(bashio::config 'SCALING')
-export GRAYSCALE_DEPTH=$(bashio::config 'GRAYSCALE_DEPTH')
-export IMAGE_FORMAT=$(bashio::config 'IMAGE_FORMAT')
-export COLOR_MODE=$(bashio::config 'COLOR_MODE')
-export REMOVE_GAMMA=$(bashio::config 'REMOVE_GAMMA')
-export PREFERS_COLOR_SCHEME=$(bashio::config 'PREFERS_COLOR_SCHEME')
-export HA_BATTERY_WEBHOOK=$(bashio::config 'HA_BATTERY_WEBHOOK')
+# Exports an option as the environment variable of the same name. Options
+# which aren't set are skipped, as bashio returns "null" for them, and so are
+# variables already given in ADDITIONAL_ENV_VARS.
+export_option() {
+    if bashio::config.has_value "$1" && [ -z "${!1+x}" ]; then
+        export "$1=$(bashio::config "$1")"
+    fi
+}
 
 bashio::log.info "Loading additional environment variables..."
 
@@ -27,10 +15,45 @@ bashio::log.info "Loading additional environment variables..."
 for var in $(bashio::config 'ADDITIONAL_ENV_VARS|keys'); do
     name=$(bashio::config "ADDITIONAL_ENV_VARS[${var}].name")
     value=$(bashio::config "ADDITIONAL_ENV_VARS[${var}].value")
-    bashio::log.info "Setting ${name} to ${value}"
+    # values may be secrets, e.g. API_TOKEN
+    bashio::log.info "Setting ${name}"
     export "${name}=${value}"
 done
 
+bashio::log.info "Loading config..."
+
+for option in HA_BASE_URL HA_ACCESS_TOKEN HA_USERNAME HA_PASSWORD HA_TRUSTED_NETWORK_USER API_TOKEN \
+    DEVICE_KEYS URL_SIGNING_SECRET ADMIN_PUBLIC; do
+    export_option "${option}"
+done
+
+# Environment variables take precedence over the config file, so with one,
+# the add-on only passes on where Home Assistant is, how to log in and who
+# may connect
+if [ -z "${CONFIG_FILE}" ]; then
+    for option in HA_SCREENSHOT_URL LANGUAGE CRON_JOB RENDERING_TIMEOUT RENDERING_DELAY \
+        RENDERING_SCREEN_HEIGHT RENDERING_SCREEN_WIDTH BROWSER_LAUNCH_TIMEOUT ROTATION SCALING \
+        GRAYSCALE_DEPTH DITHER DITHER_ALGORITHM IMAGE_FORMAT COLOR_MODE REMOVE_GAMMA \
+        PREFERS_COLOR_SCHEME HA_BATTERY_WEBHOOK; do
+        export_option "${option}"
+    done
+else
+    bashio::log.info "Using ${CONFIG_FILE}, the add-on's page options are ignored"
+fi
+
+# Publish devices through Home Assistant's MQTT broker, unless another one
+# was given in ADDITIONAL_ENV_VARS or MQTT_ENABLED is turned off
+if [ -z "${MQTT_URL}" ] && ! bashio::config.false 'MQTT_ENABLED' && bashio::services.available "mqtt"; then
+    if bashio::var.true "$(bashio::services 'mqtt' 'ssl')"; then
+        export MQTT_URL="mqtts://$(bashio::services 'mqtt' 'host'):$(bashio::services 'mqtt' 'port')"
+    else
+        export MQTT_URL="mqtt://$(bashio::services 'mqtt' 'host'):$(bashio::services 'mqtt' 'port')"
+    fi
+    export MQTT_USERNAME="$(bashio::services 'mqtt' 'username')"
+    export MQTT_PASSWORD="$(bashio::services 'mqtt' 'password')"
+    bashio::log.info "Using MQTT broker at ${MQTT_URL}"
+fi
+
 bashio::log.info "Using HA_BASE_URL: ${HA_BASE_URL}"
 
 bashio::log.info "Starting server..."
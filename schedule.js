@@ -0,0 +1,101 @@
+// Per-page render schedules and quiet hours
+const { CronTime } = require("cron");
+
+// Parses quiet hours like "22:00-06:30" or "22:00-06:00,12:00-13:00" into
+// ranges of minutes since midnight. Returns null if the value is invalid.
+function parseQuietHours(value) {
+  if (!value) return [];
+  const ranges = [];
+  for (const part of String(value).split(",")) {
+    const match = part.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const [start, end] = [
+      [match[1], match[2]],
+      [match[3], match[4]]
+    ].map(([hours, minutes]) => Number(hours) * 60 + Number(minutes));
+    if (start >= 24 * 60 || end > 24 * 60 || Number(match[2]) > 59 || Number(match[4]) > 59) {
+      return null;
+    }
+    ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+function getMinutesSinceMidnight(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: timezone
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+// Ranges may wrap around midnight, e.g. 22:00-06:00
+function isInTimeRanges(value, date, timezone) {
+  const ranges = parseQuietHours(value) || [];
+  if (ranges.length === 0) return false;
+  const minutes = getMinutesSinceMidnight(date, timezone);
+  return ranges.some(({ start, end }) =>
+    start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end
+  );
+}
+
+function isInQuietHours(quietHours, date, timezone) {
+  return isInTimeRanges(quietHours, date, timezone);
+}
+
+function isValidCronExpression(expression) {
+  try {
+    new CronTime(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds between two runs of the cron expression
+function getCronInterval(expression) {
+  const [next, afterNext] = new CronTime(expression).sendAt(2);
+  return afterNext.toMillis() - next.toMillis();
+}
+
+// Next time the cron expression fires outside of the quiet hours, or null if
+// it doesn't within a day
+function getNextRenderTime(expression, quietHours, date, timezone) {
+  const cronTime = new CronTime(expression);
+  const limit = date.getTime() + 24 * 60 * 60 * 1000;
+  let next = date;
+  do {
+    next = cronTime.getNextDateFrom(next).toJSDate();
+    if (!isInQuietHours(quietHours, next, timezone)) {
+      return next;
+    }
+  } while (next.getTime() < limit);
+  return null;
+}
+
+// Groups pages with the same cron expression, so each expression only needs
+// a single cronjob
+function groupPagesBySchedule(pages) {
+  const groups = new Map();
+  pages.forEach((pageConfig, pageIndex) => {
+    const pageIndices = groups.get(pageConfig.cronJob) || [];
+    pageIndices.push(pageIndex);
+    groups.set(pageConfig.cronJob, pageIndices);
+  });
+  return groups;
+}
+
+module.exports = {
+  parseQuietHours,
+  isInTimeRanges,
+  isInQuietHours,
+  isValidCronExpression,
+  getCronInterval,
+  getNextRenderTime,
+  groupPagesBySchedule
+};
@@ -0,0 +1,39 @@
+// Prints a signed URL path for a page, playlist or config file, which devices
+// can fetch without a device key until it expires:
+//
+//   node sign-url.js /1 --expires 604800
+//
+// Needs URL_SIGNING_SECRET, --expires is in seconds and defaults to a day.
+const config = require("./config");
+const { DEFAULT_SIGNATURE_LIFETIME, createSignedPath } = require("./access-control");
+
+const USAGE = "Usage: node sign-url.js <path> [--expires <seconds>]";
+
+function signUrl(args) {
+  if (!config.urlSigningSecret) {
+    console.error("URL_SIGNING_SECRET is not set");
+    return 1;
+  }
+  const paths = [];
+  let lifetime = DEFAULT_SIGNATURE_LIFETIME;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--expires") {
+      lifetime = Number(args[++i]);
+      if (!Number.isInteger(lifetime) || lifetime < 1) {
+        console.error(`Invalid lifetime: ${args[i]}, expected a number of seconds`);
+        return 1;
+      }
+    } else {
+      paths.push(args[i]);
+    }
+  }
+  if (paths.length !== 1 || !paths[0].startsWith("/") || paths[0].includes("?")) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  console.log(createSignedPath(paths[0], config.urlSigningSecret, lifetime));
+  return 0;
+}
+
+process.exitCode = signUrl(process.argv.slice(2));
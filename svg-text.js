@@ -0,0 +1,43 @@
+// Text in the SVGs which are drawn onto images, like the status overlay and
+// the error screen of the fallback
+const TIME_FORMAT = { hour: "2-digit", minute: "2-digit", hourCycle: "h23" };
+
+// Text can't be measured without rendering it, so its width is estimated
+// from the average width of a character relative to the font size
+const AVERAGE_CHARACTER_WIDTH = 0.65;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// e.g. 14:05 in the given timezone
+function formatTime(date, timezone) {
+  return new Intl.DateTimeFormat("en-GB", { ...TIME_FORMAT, timeZone: timezone }).format(date);
+}
+
+// e.g. 05 Mar, 14:05 in the given timezone
+function formatDateTime(date, timezone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    day: "2-digit",
+    month: "short",
+    ...TIME_FORMAT,
+    timeZone: timezone
+  }).format(date);
+}
+
+function estimateTextWidth(text, fontSize) {
+  return Math.ceil(text.length * fontSize * AVERAGE_CHARACTER_WIDTH);
+}
+
+// How many characters fit into width, e.g. to wrap long lines
+function estimateCharacters(width, fontSize) {
+  return Math.floor(width / (fontSize * AVERAGE_CHARACTER_WIDTH));
+}
+
+module.exports = {
+  escapeXml,
+  formatTime,
+  formatDateTime,
+  estimateTextWidth,
+  estimateCharacters
+};
@@ -0,0 +1,53 @@
+// Warm browser tabs per page, so scheduled renders navigate an existing tab
+// instead of opening a new one every time
+function createTabPool() {
+  // tabs belong to a browser, so they're dropped along with it on relaunch
+  const tabsByBrowser = new WeakMap();
+
+  const getTabs = (browser) => {
+    if (!tabsByBrowser.has(browser)) {
+      tabsByBrowser.set(browser, new Map());
+    }
+    return tabsByBrowser.get(browser);
+  };
+
+  return {
+    // Returns the warm tab for key or opens a new one. The tab is only
+    // returned to the pool by release, so it's never used twice at once.
+    async acquireAsync(browser, key) {
+      const tabs = getTabs(browser);
+      const tab = tabs.get(key);
+      tabs.delete(key);
+      if (tab && !tab.isClosed()) {
+        return tab;
+      }
+      return browser.newPage();
+    },
+
+    release(browser, key, tab) {
+      if (!tab.isClosed()) {
+        getTabs(browser).set(key, tab);
+      }
+    }
+  };
+}
+
+// Rejects with a TimeoutError if promise doesn't settle within ms and calls
+// onTimeout, e.g. to close the tab which hangs
+function withTimeoutAsync(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Page did not finish rendering within ${ms}ms`);
+      error.name = "TimeoutError";
+      reject(error);
+      Promise.resolve().then(onTimeout).catch(() => {});
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  createTabPool,
+  withTimeoutAsync
+};
@@ -0,0 +1,140 @@
+// Template pages, which are rendered from a Handlebars template in CONFIG_DIR
+// filled with entity states from Home Assistant's REST API instead of a
+// Lovelace view, so the browser doesn't need to load the whole frontend
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { promises: fs } = require("fs");
+const Handlebars = require("handlebars");
+const { requestAsync } = require("./ha-auth");
+
+const TEMPLATE_PREFIX = "template:";
+
+// compiled templates by path, until the file changes
+const compiledTemplates = new Map();
+
+function isTemplateUrl(screenShotUrl) {
+  return screenShotUrl.startsWith(TEMPLATE_PREFIX);
+}
+
+// Resolves `template:<file>` within configDir, or returns null if the file
+// would be outside of it
+function getTemplatePath(configDir, screenShotUrl) {
+  const file = screenShotUrl.substring(TEMPLATE_PREFIX.length);
+  const root = path.resolve(configDir);
+  const templatePath = path.resolve(root, file);
+  return templatePath.startsWith(root + path.sep) ? templatePath : null;
+}
+
+async function fetchStatesAsync(baseUrl, accessToken, rejectUnauthorized) {
+  return requestAsync(new URL("/api/states", baseUrl).toString(), {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    rejectUnauthorized
+  });
+}
+
+// Entities are available by domain and object id like in Home Assistant's
+// templates, e.g. `states.sensor.temperature.state`, and by their id
+function createTemplateContext(entityStates, { now, pageConfig }) {
+  const states = {};
+  const entities = {};
+  for (const entityState of entityStates) {
+    const [domain, objectId] = entityState.entity_id.split(".");
+    const entity = {
+      ...entityState,
+      name: (entityState.attributes && entityState.attributes.friendly_name) || objectId
+    };
+    (states[domain] = states[domain] || {})[objectId] = entity;
+    entities[entityState.entity_id] = entity;
+  }
+  return {
+    states,
+    entities,
+    now,
+    page: {
+      name: pageConfig.name,
+      width: Number(pageConfig.renderingScreenSize.width),
+      height: Number(pageConfig.renderingScreenSize.height)
+    }
+  };
+}
+
+const DATE_FORMATS = {
+  time: { hour: "2-digit", minute: "2-digit" },
+  date: { year: "numeric", month: "2-digit", day: "2-digit" },
+  datetime: { dateStyle: "short", timeStyle: "short" },
+  weekday: { weekday: "long" }
+};
+
+function createHelpers(entities, { timezone, language }) {
+  const entity = (entityId) => entities[entityId];
+  return {
+    // missing entities are shown the way Home Assistant shows them
+    state: (entityId) => (entity(entityId) ? entity(entityId).state : "unavailable"),
+    attr: (entityId, attribute) =>
+      entity(entityId) && entity(entityId).attributes
+        ? entity(entityId).attributes[attribute]
+        : undefined,
+    round: (value, decimals) => {
+      const number = Number(value);
+      return value === "" || isNaN(number)
+        ? value
+        : number.toFixed(typeof decimals === "number" ? decimals : 0);
+    },
+    // `{{formatDate now "time"}}`, see DATE_FORMATS
+    formatDate: (value, format) => {
+      const date = new Date(value);
+      if (isNaN(date)) {
+        return value;
+      }
+      const options = DATE_FORMATS[typeof format === "string" ? format : "datetime"];
+      return new Intl.DateTimeFormat(language, { ...options, timeZone: timezone }).format(date);
+    },
+    eq: (a, b) => a === b,
+    gt: (a, b) => Number(a) > Number(b),
+    lt: (a, b) => Number(a) < Number(b)
+  };
+}
+
+async function compileTemplateAsync(templatePath) {
+  const { mtimeMs } = await fs.stat(templatePath);
+  const cached = compiledTemplates.get(templatePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.template;
+  }
+  const template = Handlebars.compile(await fs.readFile(templatePath, "utf8"));
+  compiledTemplates.set(templatePath, { mtimeMs, template });
+  return template;
+}
+
+// Relative URLs of images and stylesheets refer to CONFIG_DIR
+function addBaseUrl(html, configDir) {
+  const base = `<base href="${pathToFileURL(path.resolve(configDir) + path.sep).href}">`;
+  return /<head[^>]*>/i.test(html)
+    ? html.replace(/<head[^>]*>/i, (head) => head + base)
+    : base + html;
+}
+
+// Fills the page's template with the current states and returns the HTML
+async function renderTemplatePageAsync(
+  pageConfig,
+  { configDir, accessToken, timezone, language, rejectUnauthorized }
+) {
+  const templatePath = getTemplatePath(configDir, pageConfig.screenShotUrl);
+  if (!templatePath) {
+    throw new Error(`Template ${pageConfig.screenShotUrl} must be within ${configDir}`);
+  }
+  const template = await compileTemplateAsync(templatePath);
+  const entityStates = await fetchStatesAsync(pageConfig.baseUrl, accessToken, rejectUnauthorized);
+  const context = createTemplateContext(entityStates, { now: new Date(), pageConfig });
+  const html = template(context, {
+    helpers: createHelpers(context.entities, { timezone, language })
+  });
+  return addBaseUrl(html, configDir);
+}
+
+module.exports = {
+  isTemplateUrl,
+  getTemplatePath,
+  createTemplateContext,
+  renderTemplatePageAsync
+};